@@ -1,48 +1,55 @@
 #!/usr/bin/env node
 
-import { addGLQuoteCols } from 'tsv-quote-converters';
-import AdmZip from 'adm-zip';
-import JSZip from 'jszip';
-import fs from 'fs';
 import path from 'path';
-import yaml from 'js-yaml';
-import { execSync } from 'child_process';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-
-const getGitInfo = () => {
-  try {
-    const remoteUrl = execSync('git remote get-url origin 2>/dev/null').toString().trim();
-    const ownerRepo = remoteUrl.match(/[\/:]([^\/]+)\/([^\/]+?)(?:\.git)?$/);
-    let dcsUrl = remoteUrl.match(/(https*:\/\/[^\/]+)/)
-      ? remoteUrl.match(/(https*:\/\/[^\/]+)/)[1]
-      : remoteUrl.match(/@(.*?):/)
-        ? `https://${remoteUrl.match(/@(.*?):/)[1]}`
-        : null;
-    if (dcsUrl.includes('https://github.com')) {
-      dcsUrl = dcsUrl.replace('github.com', 'git.door43.org');
-    }
-    const ref = execSync('git symbolic-ref -q --short HEAD || git describe --tags --exact-match 2>/dev/null || git rev-parse --abbrev-ref HEAD').toString().trim();
-
-    return {
-      owner: ownerRepo ? ownerRepo[1] : null,
-      repo: ownerRepo ? ownerRepo[2] : null,
-      ref,
-      dcsUrl,
-    };
-  } catch (error) {
-    return { owner: null, repo: null, ref: null, dcsUrl: null };
-  }
-};
+import {
+  BOOKS,
+  checkManifestBible,
+  classifyError,
+  createLogger,
+  findProjectFiles,
+  getBook,
+  httpOptions,
+  loadConfig,
+  prefetchResources,
+  processTsvFiles,
+  resolveSettings,
+  selectBookFiles,
+  SOURCES_FILE,
+  writeErrorsToFile,
+} from './index.js';
 
 const argv = yargs(hideBin(process.argv))
   .usage('Usage: $0 [options]')
+  .command('$0', 'Add GL quotes to the TSV files')
+  .command('prefetch', 'Download the Bibles and original language texts of the TSV files\' books into --resource-cache for --offline use')
   .options({
     w: {
       alias: 'workingdir',
       describe: 'Directory where the TSV files are located. (default:  current directory.)',
       type: 'string',
     },
+    config: {
+      describe: 'Config file to read the options from instead of .glquotesrc, .glquotesrc.yaml, .glquotesrc.yml, .glquotesrc.json or the "glQuotes" key of package.json in --workingdir. Command line arguments win over it.',
+      type: 'string',
+    },
+    glob: {
+      describe: 'Glob of the TSV files to process, relative to --workingdir, used when manifest.yaml lists no TSV projects. (default: "**/*_*.tsv")',
+      type: 'string',
+    },
+    books: {
+      describe: 'Only process these books: comma separated USFM book codes, OBS, OT, NT or ranges, e.g. "MAT,ROM" or "GEN-DEU". (default: all)',
+      type: 'string',
+    },
+    'exclude-books': {
+      describe: 'Do not process these books, in the same format as --books, e.g. "PSA".',
+      type: 'string',
+    },
+    'include-unselected': {
+      describe: 'Add the TSV files of books not selected with --books/--exclude-books to the zip file, untouched. (default: false)',
+      type: 'boolean',
+    },
     owner: {
       describe: 'Repository owner. (default:  current checkedout repository owner or "unfoldingWord")',
       type: 'string',
@@ -56,26 +63,61 @@ const argv = yargs(hideBin(process.argv))
       type: 'string',
     },
     bible: {
-      describe: 'Bible link to use for the GL quotes, e.g. unfoldingWord/en_ult/v84. (default:  {owner}/en_ult/{ref})',
+      describe: 'Bible link to use for the GL quotes, e.g. unfoldingWord/en_ult/v84, or comma separated labeled Bible links to write to a {label}Quote/{label}Occurrence column pair each, e.g. "ULT=unfoldingWord/en_ult/master,UST=unfoldingWord/en_ust/master". (default:  {owner}/en_ult/{ref})',
       type: 'string',
     },
+    'quote-column': {
+      describe: 'Name of the column to write the GL quotes to, e.g. "ULTQuote". (default: "GLQuote")',
+      type: 'string',
+    },
+    'occurrence-column': {
+      describe: 'Name of the column to write the GL occurrences to, e.g. "ULTOccurrence". (default: "GLOccurrence")',
+      type: 'string',
+    },
+    'column-position': {
+      describe: 'Where to add the GL quote columns to TSV files that do not have them yet: after the Occurrence column or at the end of the rows. (default: "after-occurrence")',
+      type: 'string',
+      choices: ['after-occurrence', 'end'],
+    },
+    'pin-bibles': {
+      describe: 'Resolve the ref of each Bible link to the commit it points at and generate all books from that commit; use --no-pin-bibles to read the refs as they are. Never done offline. (default: true)',
+      type: 'boolean',
+    },
+    'refresh-on-bible-change': {
+      describe: `Regenerate the GL quotes of a Bible instead of reusing the previous ones if they were generated from another commit of it, as recorded in the previous zip file's ${SOURCES_FILE}. (default: false)`,
+      type: 'boolean',
+    },
     dcs: {
       describe: 'DCS URL. (default:  https://git.door43.org)',
       type: 'string',
     },
+    token: {
+      describe: 'DCS access token for private repos and artifacts, sent to --dcs and --artifacts-base-url only. Prefer the DCS_TOKEN or GITEA_TOKEN environment variable, which is used if not given; a command line argument is visible to other processes.',
+      type: 'string',
+    },
     'artifacts-base-url': {
       describe: 'Base URL for artifacts API (e.g., https://git.door43.org or https://qa.door43.org). Defaults to https://git.door43.org.',
       type: 'string',
-      default: 'https://git.door43.org',
+    },
+    'artifact-name': {
+      describe: 'Pattern of the names of the artifacts with previous GL quotes, e.g. "en_tn_*_with_gl_quotes". The newest matching artifact of the ref, the commit it forked from or the default branch is used, else the newest match. (default: *_with_gl_quotes)',
+      type: 'string',
+    },
+    'artifact-id': {
+      describe: 'ID of the artifact with previous GL quotes to use, instead of looking for one',
+      type: 'string',
     },
     'backup-artifact-url': {
-      describe: 'Backup artifact zip URL to use if no artifact is found via the artifacts API. Defaults to https://cdn.door43.org/dcs/<repo>_master_with_gl_quotes.zip',
+      describe: 'Backup artifact zip URL to use if no artifact is found via the artifacts API; {repo} and {ref} are replaced. Defaults to https://cdn.door43.org/dcs/{repo}_master_with_gl_quotes.zip',
       type: 'string',
     },
     'use-backup-artifact': {
       describe: 'Enable fallback to backup artifact URL if artifacts API fails. (default: false)',
       type: 'boolean',
-      default: false,
+    },
+    previous: {
+      describe: 'Previous GL quotes to merge instead of the latest artifact: a local *_with_gl_quotes.zip file, a local directory of previously generated TSV files, or a zip URL.',
+      type: 'string',
     },
     o: {
       alias: 'output-zip-file',
@@ -86,44 +128,97 @@ const argv = yargs(hideBin(process.argv))
       alias: 'quiet',
       describe: 'Suppress ALL output, even simple info lines. (default: false)',
       type: 'boolean',
-      default: false,
     },
     v: {
       alias: 'verbose',
       describe: 'Enable verbose output. Will output everything being aligned. (default: false)',
       type: 'boolean',
-      default: false,
     },
     debug: {
       describe: 'Enable debug output. Shows artifact discovery/zip details and per-book cache vs generation counts.',
       type: 'boolean',
-      default: false,
     },
     e: {
       alias: 'exit-on-error',
       describe: 'Exit on error. If there are any errors with the TSV file or loading a Bible book, the script should stop instantly and not make a zip file. (default: false)',
       type: 'boolean',
-      default: false,
+    },
+    concurrency: {
+      describe: 'Number of books to process at once. Log output stays grouped per book. (default: 1)',
+      type: 'number',
+    },
+    timeout: {
+      describe: 'Seconds to wait for a response of DCS before retrying; 0 waits forever. (default: 30)',
+      type: 'number',
+    },
+    retries: {
+      describe: 'Times to retry a request to DCS that failed for a network error, timeout, 429 or 5xx, with exponential backoff. Retry-After is respected. (default: 3)',
+      type: 'number',
     },
     zip: {
       describe: 'Create a zip file with processed TSV files. If not specified, TSV files are overwritten in place. Will be true if --output-zip-file is specified.',
       type: 'string',
-      default: false,
+    },
+    'zip-include': {
+      describe: 'Comma separated globs of more non-TSV files of the working directory to add to the zip file, e.g. "media.yaml,content/*.md". manifest.yaml, README.md and LICENSE.md are always added, with the GL quote generation recorded in manifest.yaml.',
+      type: 'string',
+    },
+    'zip-folder': {
+      describe: 'Put the files in a top folder of the zip file like DCS release zips: --zip-folder alone for {repo}/, or the folder name.',
+      type: 'string',
     },
     tsv: {
       describe: 'Write TSV files back to disk (used with --zip to do both zip and TSV output). Will be true if --tsv-suffix is specified.',
       type: 'boolean',
-      default: false,
     },
     'tsv-suffix': {
       describe: 'Suffix to add to TSV filenames before .tsv extension (e.g., "_gl_quotes" creates twl_GEN_gl_quotes.tsv).',
       type: 'string',
     },
+    'errors-file': {
+      describe: 'Write the errors and warnings of the run, each with a code (NETWORK, BIBLE_BOOK_MISSING, TSV_MALFORMED, ARTIFACT_INVALID or GENERATION_FAILED), to this JSON file, even if there are none; --no-errors-file writes none. (default: ./errors.json, only written if there are errors)',
+      type: 'string',
+    },
+    report: {
+      describe: 'Write a JSON report of the run to this path: per book counts of previous/cached GL quotes, generated and still missing rows, fallbacks, errors and timings, the artifact used and the Bible links.',
+      type: 'string',
+    },
+    check: {
+      describe: 'Generate the GL quotes in memory and write nothing. Exits with 1 if rows would stay without a GL quote, committed GL quotes differ from freshly generated ones, or a TSV file is invalid. (default: false)',
+      type: 'boolean',
+    },
+    'dry-run': {
+      describe: 'Generate the GL quotes in memory and write no TSV, zip or quote cache files. (default: false)',
+      type: 'boolean',
+    },
+    diff: {
+      describe: 'Show the GLQuote/GLOccurrence changes per book and row, compared with the committed GL quotes (or the previous GL quotes if none are committed). Give a path to write them to a file instead.',
+      type: 'string',
+    },
+    diagnostics: {
+      describe: 'Write the rows still without a GL quote after generation to this TSV file (or JSON if it ends with .json), with the reason: verse-missing, words-not-found, occurrence-out-of-range, alignment-gap or unknown.',
+      type: 'string',
+    },
     'rerender': {
       describe: 'Regenerate all GL Quotes for the TSV files.',
       type: 'boolean',
-      default: false,
-    }
+    },
+    'quote-cache': {
+      describe: 'Reuse GL quotes generated by earlier runs for unchanged rows, and remember the ones generated now. Disable with --no-quote-cache. (default: true)',
+      type: 'boolean',
+    },
+    'cache-dir': {
+      describe: 'Directory of the GL quote cache. (default: ~/.cache/add-gl-quotes-to-tsv-files/quotes)',
+      type: 'string',
+    },
+    offline: {
+      describe: 'Never access the network: read the Bibles from --resource-cache and skip the previous GL quotes artifact. (default: false)',
+      type: 'boolean',
+    },
+    'resource-cache': {
+      describe: 'Directory where the Bibles and original language texts are cached and read from. Populate it with the prefetch command. (default with --offline: ~/.cache/add-gl-quotes-to-tsv-files/resources)',
+      type: 'string',
+    },
   })
   .epilogue(
     'Priority for parameters:\n' +
@@ -135,1001 +230,215 @@ const argv = yargs(hideBin(process.argv))
     '- --zip: Create zip file instead of overwriting TSV files\n' +
     '- --zip --tsv: Create both zip file and overwrite TSV files\n' +
     '- --tsv-suffix="_gl_quotes": Add suffix to TSV filenames (e.g., twl_GEN_gl_quotes.tsv)\n\n' +
+    'Offline use:\n' +
+    '- $0 prefetch --resource-cache <dir>: Download the Bibles for the TSV files\' books\n' +
+    '- $0 --offline --resource-cache <dir>: Generate GL quotes from the cached Bibles only\n\n' +
     'If no output zip path is specified with --zip, it will be: <repo>_<ref>_with_gl_quotes.zip'
-  ).argv; const log = (...args) => {
-    if (!argv.quiet || argv.verbose) console.log(...args);
-  };
-const dlog = (...args) => {
-  if (argv.debug && !argv.quiet) console.log(...args);
-};
-
-const workingdir = argv.workingdir || process.cwd();
-const currentDir = process.cwd();
-process.chdir(workingdir);
-// Get info from different sources
-const gitInfo = getGitInfo();
-process.chdir(currentDir);
-const ghOwner = process.env.GITHUB_REPOSITORY?.split('/')[0];
-const ghRepo = process.env.GITHUB_REPOSITORY?.split('/')[1];
-
-// Prioritize sources
-const owner = argv.owner || ghOwner || gitInfo.owner || 'unfoldingWord';
-const repo = argv.repo || ghRepo || gitInfo.repo || path.basename(process.cwd()) || 'unknown';
-const ref = argv.ref || process.env.GITHUB_REF_NAME || gitInfo.ref || 'master';
-const dcsUrl = argv.dcs || process.env.GITHUB_SERVER_URL || gitInfo.dcsUrl || 'https://git.door43.org';
-const targetBibleLink =
-  argv.bible ||
-  process.env.BIBLE_LINK ||
-  getTargetBibleLink() ||
-  (owner === 'unfoldingWord' ? `${owner}/${repo.split('_')[0]}_ult/master` : `${owner}/${repo.split('_')[0]}_glt/master`);
-
-// Normalize to array for consistency
-const targetBibleLinks = Array.isArray(targetBibleLink) ? targetBibleLink : [targetBibleLink];
-
-// Support both --rerender and --regenerate (back-compat)
-const regenerateAll = argv['regenerate'] || argv['rerender'];
-
-// Normalize artifacts base URL (strip trailing slashes)
-const artifactsBaseUrl = (argv['artifacts-base-url'] || 'https://git.door43.org').replace(/\/+$/, '');
-
-// Compute backup artifact URL (default depends on repo name)
-const backupArtifactUrl = (argv['backup-artifact-url'] && argv['backup-artifact-url'].trim().length > 0)
-  ? argv['backup-artifact-url']
-  : `https://cdn.door43.org/dcs/${repo}_master_with_gl_quotes.zip`;
-
-log('owner:', owner, 'repo:', repo, 'ref:', ref, 'dcsUrl:', dcsUrl, 'targetBibleLink:', targetBibleLinks);
-if (!owner || !repo || !ref || !dcsUrl) {
-  console.error('Error: Missing required parameters. Use --help for usage information.');
+  ).argv;
+
+// The config file may set the logging options as well
+let config;
+try {
+  config = loadConfig(path.resolve(argv.workingdir || process.cwd()), argv.config ? path.resolve(argv.config) : undefined);
+} catch (error) {
+  console.error('Error:', error.message);
   process.exit(1);
 }
-
-const zipFilePath = argv['output-zip-file'] || `${repo}_${ref}_with_gl_quotes.zip`;
-
-log('Using the following settings:\n');
-log(`Working directory: ${workingdir}`);
-log(`Owner: ${owner}`);
-log(`Repo: ${repo}`);
-log(`Ref: ${ref}`);
-log(`TargetBibleLink: ${targetBibleLinks.join(', ')}`);
-log(`DCS URL: ${dcsUrl}`);
-log(`Backup artifact URL: ${backupArtifactUrl}`);
-log('Use backup artifact:', argv['use-backup-artifact']);
-log('Quiet mode:', argv.quiet);
-log('Verbose mode:', argv.verbose);
-log('Exit on error:', argv.exitOnError);
-log('Create zip file:', argv.zip);
-log('Write TSV files:', !argv.zip || argv.tsv);
-log('TSV suffix:', argv['tsv-suffix'] || 'none');
-if (argv.zip) {
-  log(`Output zip file path: ${zipFilePath}`);
-}
-
-function getTargetBibleLink() {
-  // Get manifest
-  const manifestPath = path.join('manifest.yaml');
-  if (!fs.existsSync(manifestPath)) {
-    return null;
-  }
-  const manifest = yaml.load(fs.readFileSync(manifestPath, 'utf8'));
-  const relationText = manifest.dublin_core.relation;
-
-  // Convert to array if it's a string
-  const relations = Array.isArray(relationText) ? relationText : [relationText];
-
-  let targetBible = null;
-  // Find the first matching Bible
-  for (const relation of relations) {
-    if (relation.includes('/glt')) {
-      targetBible = relation;
-      break;
-    }
-  }
-  if (!targetBible) {
-    for (const relation of relations) {
-      if (relation.includes('/gst')) {
-        targetBible = relation;
-        break;
-      }
-    }
-  }
-  if (!targetBible) {
-    for (const relation of relations) {
-      if (relation.includes('/ult')) {
-        targetBible = relation;
-        break;
-      }
-    }
-  }
-  if (!targetBible) {
-    const excludeRelations = ['/ugnt', '/uhb', '/ta', '/tn', '/twl', '/tw', '/obs', '/obs-tn', '/obs-twl', '/obs-tn-tsv', '/sn', '/sq', '/tq'];
-    for (const relation of relations) {
-      if (!excludeRelations.some((r) => relation.includes(r))) {
-        targetBible = relation;
-        break;
-      }
-    }
-  }
-
-  if (!targetBible) {
-    throw new Error('manifest.yaml relation does not contain a Bible to use');
-  }
-
-  let bibleLink = `${owner}/${targetBible.replace('/', '_').replace('?v=', '/v')}`;
-
-  if (bibleLink.split('/').length === 2) {
-    bibleLink += '/master';
+const logger = createLogger({
+  quiet: argv.quiet ?? config?.options.quiet,
+  verbose: argv.verbose ?? config?.options.verbose,
+  debug: argv.debug ?? config?.options.debug,
+});
+const { log } = logger;
+
+async function prefetch(settings) {
+  if (settings.offline) {
+    console.error('Error: prefetch needs network access; do not use it with --offline');
+    process.exit(1);
   }
-
-  log('Using Bible Link:', bibleLink);
-
-  return bibleLink;
-}
-
-function writeErrorsToFile(errors) {
-  if (!errors || errors.length === 0) {
-    return;
+  if (!settings.resourceCache) {
+    console.error('Error: prefetch needs --resource-cache <dir>');
+    process.exit(1);
   }
-
   try {
-    const errorData = {
-      timestamp: new Date().toISOString(),
-      errors: errors
-    };
-
-    // Use current working directory since we may have changed directories
-    const errorFilePath = path.join(process.cwd(), 'errors.json');
-
-    // Ensure the directory exists
-    const errorDir = path.dirname(errorFilePath);
-    if (!fs.existsSync(errorDir)) {
-      fs.mkdirSync(errorDir, { recursive: true });
-    }
-
-    fs.writeFileSync(errorFilePath, JSON.stringify(errorData, null, 2), 'utf8');
-
-    if (!argv.quiet) {
-      console.log(`Errors written to ${errorFilePath}`);
-    }
+    settings = await checkManifestBible(settings, logger);
   } catch (error) {
-    console.error('Failed to write errors to file:', error.message);
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+  // Fetch the selected books of the TSV files in the working directory, or all selected books if there are none.
+  // OBS has no Bible text to fetch.
+  const projects = findProjectFiles(settings.workingdir, { glob: settings.glob, tsvSuffix: settings.tsvSuffix, logger });
+  let books = selectBookFiles(projects, settings).selected.map((project) => project.bookCode).filter((code) => getBook(code));
+  if (books.length === 0) {
+    books = BOOKS.map((book) => book.code)
+      .filter((code) => (!settings.books || settings.books.has(code)) && !settings.excludeBooks?.has(code));
   }
-}
-
-/**
- * Downloads and extracts previous GL quotes from the specified zip file
- * @param {string} fileName - The TSV filename to extract from the zip
- * @returns {Promise<string|null>} - The content of the TSV file or null if not found
- */
-async function getPreviousGLQuotes(fileName, repo) {
   try {
-    // cache the downloaded/loaded zip for the lifetime of this Node process
-    const cache = globalThis.__previousGLZipCache || (globalThis.__previousGLZipCache = {
-      zipUrl: null,
-      artifactMeta: null,
-      zip: null,
-      zipPromise: null,
-      urlPromise: null,
-      backupUrlFailed: false // Track if backup URL has failed
+    const { fetched, errors } = await prefetchResources({
+      cacheDir: settings.resourceCache,
+      dcsUrl: settings.dcsUrl,
+      bibleLinks: settings.bibleLinks,
+      books,
+      http: httpOptions(settings, logger),
+      logger,
     });
-
-    async function fetchArtifactZipUrl(ownerName, repoName) {
-      // Discover latest artifact on QA that ends with _with_gl_quotes.zip
-      try {
-        const listUrl = `${artifactsBaseUrl}/api/v1/repos/${ownerName}/${repoName}/actions/artifacts`;
-        dlog(`Artifacts API: ${listUrl}`);
-        const res = await fetch(listUrl);
-        if (!res.ok) {
-          throw new Error(`Failed to list artifacts: ${res.status} ${res.statusText}`);
-        }
-        const data = await res.json();
-        const artifacts = Array.isArray(data?.artifacts) ? data.artifacts : [];
-        // Pick the newest artifact by highest id or latest created_at
-        const candidates = artifacts.filter(a =>
-          typeof a?.name === 'string' &&
-          a.name.endsWith('master_with_gl_quotes') &&
-          a?.archive_download_url &&
-          a?.expired === false
-        );
-        const match = candidates.reduce((best, cur) => {
-          if (!best) return cur;
-          const bestId = typeof best.id === 'number' ? best.id : -1;
-          const curId = typeof cur.id === 'number' ? cur.id : -1;
-          if (curId !== bestId) return curId > bestId ? cur : best;
-          // fallback to created_at comparison
-          const bt = Date.parse(best.created_at || best.created || 0) || 0;
-          const ct = Date.parse(cur.created_at || cur.created || 0) || 0;
-          return ct > bt ? cur : best;
-        }, null);
-        if (argv.debug && !argv.quiet) {
-          dlog(`Artifacts found: ${artifacts.length}, candidates: ${candidates.length}`);
-          if (match) {
-            const created = match.created_at || match.created || '';
-            const size = match.size_in_bytes || match.size || '';
-            dlog(`Artifact selected: id=${match.id} name="${match.name}" size=${size} created=${created}`);
-            dlog(`Artifact download URL: ${match.archive_download_url}`);
-          } else {
-            dlog('No matching artifact found for prior GL quotes.');
-          }
-        }
-        return { url: match?.archive_download_url || null, meta: match || null, listUrl };
-      } catch (e) {
-        if (argv.verbose || argv.debug) console.log(`Artifact discovery failed for ${repoName}: ${e.message}`);
-        return { url: null, meta: null };
-      }
-    }
-
-    // Resolve/cached the artifact URL
-    if (!cache.zipUrl) {
-      cache.urlPromise = cache.urlPromise || fetchArtifactZipUrl(owner, repo);
-      const got = await cache.urlPromise;
-      cache.zipUrl = got?.url || null;
-      cache.artifactMeta = got?.meta || null;
-      cache.urlPromise = null;
-    }
-
-    // Fallback to backup artifact URL if discovery failed
-    let zipUrl = cache.zipUrl;
-    if (!zipUrl && argv['use-backup-artifact'] && !cache.backupUrlFailed) {
-      if (argv.verbose || argv.debug) console.log(`No artifact URL discovered for ${repo}; falling back to backup URL: ${backupArtifactUrl}`);
-      zipUrl = backupArtifactUrl;
-      cache.zipUrl = zipUrl; // cache the fallback to avoid re-evaluating
-    }
-    if (!zipUrl || (zipUrl === backupArtifactUrl && cache.backupUrlFailed)) {
-      if (argv.verbose || argv.debug) console.log(`No artifact zip URL available for repo ${repo}${cache.backupUrlFailed ? ' (backup URL previously failed)' : ''}${!argv['use-backup-artifact'] ? ' (backup artifact disabled)' : ''}`);
-      return null;
-    }
-
-    // Try to reuse an already-loaded zip, or await an in-flight download
-    let zipContent;
-    if (cache.zip && cache.zipUrl === zipUrl) {
-      if (argv.verbose || argv.debug) console.log(`Using cached zip for ${zipUrl}`);
-      zipContent = cache.zip;
-    } else if (cache.zipPromise && cache.zipUrl === zipUrl) {
-      if (argv.verbose || argv.debug) console.log(`Awaiting ongoing download for ${zipUrl}`);
-      try {
-        zipContent = await cache.zipPromise;
-      } catch (err) {
-        // clear failed promise so future calls can retry
-        cache.zipPromise = null;
-        console.error(`Failed to load cached zip: ${err.message}`);
-        return null;
-      }
-    } else {
-      // start a new download/load and store the promise to prevent duplicate downloads
-      cache.zipUrl = zipUrl;
-      cache.zipPromise = (async () => {
-        if (argv.verbose || argv.debug) console.log(`Downloading previous GL quotes from: ${zipUrl}`);
-        const response = await fetch(zipUrl);
-        if (!response.ok) {
-          throw new Error(`Failed to download zip file: ${response.status} ${response.statusText}`);
-        }
-
-        try {
-          const arrayBuffer = await response.arrayBuffer();
-
-          // Check if it looks like a zip file (should start with PK)
-          const firstBytes = new Uint8Array(arrayBuffer.slice(0, 2));
-          if (firstBytes[0] !== 0x50 || firstBytes[1] !== 0x4B) {
-            // Not a zip file, probably an HTML page with bot detection
-            throw new Error('Downloaded content is not a zip file (likely bot detection page)');
-          }
-
-          const artifactZip = await new JSZip().loadAsync(arrayBuffer);
-          // Use the artifact zip directly; files are in the root directory now
-          cache.zip = artifactZip;
-          cache.zipPromise = null;
-          return artifactZip;
-        } catch (err) {
-          cache.zipPromise = null;
-          // If this was the backup URL, mark it as failed to avoid future attempts
-          if (zipUrl === backupArtifactUrl) {
-            cache.backupUrlFailed = true;
-            if (argv.verbose || argv.debug) console.log(`Backup artifact URL failed, will not retry: ${err.message}`);
-          }
-          if (argv.verbose || argv.debug) console.log(`Could not load previous GL quotes: ${err.message}`);
-          return null;
-        }
-      })();
-
-      try {
-        zipContent = await cache.zipPromise;
-      } catch (err) {
-        cache.zipPromise = null;
-        // If this was the backup URL, mark it as failed to avoid future attempts
-        if (zipUrl === backupArtifactUrl) {
-          cache.backupUrlFailed = true;
-          if (argv.verbose || argv.debug) console.log(`Backup artifact URL failed, will not retry: ${err.message}`);
-        }
-        console.error(err.message);
-        return null;
-      }
-    }
-
-    // Look for the specific TSV file in the zip
-    const fileInZip = zipContent.files[fileName];
-    if (!fileInZip) {
-      if (argv.verbose || argv.debug) console.log(`File ${fileName} not found in zip archive`);
-      return null;
+    log(`Cached ${fetched.length} resources in ${settings.resourceCache}`);
+    if (errors.length > 0) {
+      writeErrorsToFile(errors, settings.errorsFile, logger);
+      process.exit(1);
     }
-
-    // Extract the content
-    const content = await fileInZip.async('text');
-    if (argv.verbose || argv.debug) console.log(`Successfully extracted ${fileName} from zip archive`);
-
-    return content;
   } catch (error) {
-    console.error(`Error getting previous GL quotes for ${fileName}:`, error.message);
-    return null;
+    console.error('Error:', error.message);
+    process.exit(1);
   }
 }
 
-/**
- * Merges previous GL quotes into the current TSV content
- * @param {string} tsvContent - The current TSV content
- * @param {string} fileName - The TSV filename to extract from the zip
- * @returns {Promise<string>} - The TSV content with GL quotes merged in
- */
-async function mergePreviousGLQuotes(tsvContent, fileName, repo) {
+async function main() {
+  let settings;
   try {
-    // Parse current TSV content
-    const currentRows = tsvContent.split('\n').map(line => line.split('\t'));
-    const currentHeaders = currentRows[0];
-
-    // Check if GLQuote and GLOccurrence columns already exist
-    const hasGLQuote = currentHeaders.includes('GLQuote');
-    const hasGLOccurrence = currentHeaders.includes('GLOccurrence');
-
-    if (hasGLQuote && hasGLOccurrence) {
-      if (argv.verbose) {
-        log(`TSV already has GLQuote and GLOccurrence columns, skipping merge`);
-      }
-      // Already has GL columns; report missing count for potential generation
-      const glQuoteIndex = currentHeaders.indexOf('GLQuote');
-      const quoteIndex = currentHeaders.indexOf('Quote') !== -1 ? currentHeaders.indexOf('Quote') : currentHeaders.indexOf('OrigQuote') !== -1 ? currentHeaders.indexOf('OrigQuote') : currentHeaders.indexOf('OrigWords');
-      const occurrenceIndex = currentHeaders.indexOf('Occurrence');
-      let missing = 0;
-      let present = 0;
-      if (glQuoteIndex >= 0) {
-        for (let i = 1; i < currentRows.length; i++) {
-          const row = currentRows[i];
-          if (row.length > 1) {
-            const quoteHasQNF = row[quoteIndex]?.includes('QUOTE_NOT_FOUND');
-            const glqMissingOrQNF = (!row[glQuoteIndex]?.trim() || row[glQuoteIndex].includes('QUOTE_NOT_FOUND'));
-            if (row[quoteIndex]?.trim() && row[occurrenceIndex]?.trim() && row[occurrenceIndex] != "0" && (glqMissingOrQNF || quoteHasQNF)) {
-              missing++;
-            } else {
-              present++;
-            }
-          }
-        }
-      }
-      const totalDataRows = currentRows.filter(r => r.length > 1).length;
-      if (argv.debug && !argv.quiet) {
-        dlog(`Book ${fileName}: already contains GLQuote/GLOccurrence. present=${present}, missing=${missing}, total=${totalDataRows}`);
-      }
-      return { output: tsvContent, missingCount: missing, matchedCount: 0, totalDataRows };
-    }
-
-    // Download previous GL quotes
-    const previousContent = await getPreviousGLQuotes(fileName, repo);
-    if (!previousContent) {
-      if (argv.verbose) {
-        log(`No previous GL quotes found, adding empty columns`);
-      }
-      // Still need to add the columns even if we can't get previous data
-      const out = addEmptyGLQuoteColumns(tsvContent);
-      // Everything missing since no previous
-      const rows = out.split('\n').map(l => l.split('\t'));
-      const glQuoteIndex = rows[0].indexOf('GLQuote');
-      const occurrenceIndex = rows[0].indexOf('Occurrence');
-      const quoteIndex = rows[0].indexOf('Quote') !== -1 ? rows[0].indexOf('Quote') : rows[0].indexOf('OrigQuote') !== -1 ? rows[0].indexOf('OrigQuote') : rows[0].indexOf('OrigWords');
-      let missing = 0;
-      if (glQuoteIndex >= 0) {
-        for (let i = 1; i < rows.length; i++) if (rows[i].length > 1 && (rows[i][quoteIndex]?.trim() && rows[i][occurrenceIndex]?.trim() && rows[i][occurrenceIndex] != "0" && ((!rows[i][glQuoteIndex]?.trim() || rows[i][glQuoteIndex].includes('QUOTE_NOT_FOUND')) || rows[i][quoteIndex]?.includes('QUOTE_NOT_FOUND')))) missing++;
-      }
-      const totalDataRows = rows.filter(r => r.length > 1).length;
-      if (argv.debug && !argv.quiet) dlog(`Book ${fileName}: artifact not available; will generate for ${missing}/${totalDataRows} rows`);
-      return { output: out, missingCount: missing, matchedCount: 0, totalDataRows };
-    }
-
-    // Parse previous TSV content
-    const previousRows = previousContent.split('\n').map(line => line.split('\t'));
-    const previousHeaders = previousRows[0];
-
-    // Find column indices in previous data
-    const prevGLQuoteIndex = previousHeaders.indexOf('GLQuote');
-    const prevGLOccurrenceIndex = previousHeaders.indexOf('GLOccurrence');
-    const prevReferenceIndex = previousHeaders.indexOf('Reference');
-    const prevIDIndex = previousHeaders.indexOf('ID');
-    let prevQuoteIndex = previousHeaders.indexOf('Quote');
-    if (prevQuoteIndex === -1) {
-      prevQuoteIndex = previousHeaders.indexOf('OrigQuote');
-    }
-    if (prevQuoteIndex === -1) {
-      prevQuoteIndex = previousHeaders.indexOf('OrigWords');
-    }
-    const prevOccurrenceIndex = previousHeaders.indexOf('Occurrence');
-
-    if (prevGLQuoteIndex === -1 || prevGLOccurrenceIndex === -1) {
-      if (argv.verbose) {
-        log(`Previous TSV doesn't have GLQuote/GLOccurrence columns, adding empty columns`);
-      }
-      const out = addEmptyGLQuoteColumns(tsvContent);
-      const rows = out.split('\n').map(l => l.split('\t'));
-      const glQuoteIndex = rows[0].indexOf('GLQuote');
-      const occurrenceIndex = rows[0].indexOf('Occurrence');
-      const quoteIndex = rows[0].indexOf('Quote') !== -1 ? rows[0].indexOf('Quote') : rows[0].indexOf('OrigQuote') !== -1 ? rows[0].indexOf('OrigQuote') : rows[0].indexOf('OrigWords');
-      let missing = 0;
-      if (glQuoteIndex >= 0) {
-        for (let i = 1; i < rows.length; i++) if (rows[i].length > 1 && (rows[i][quoteIndex]?.trim() && rows[i][occurrenceIndex]?.trim() && rows[i][occurrenceIndex] != "0" && ((!rows[i][glQuoteIndex]?.trim() || rows[i][glQuoteIndex].includes('QUOTE_NOT_FOUND')) || rows[i][quoteIndex]?.includes('QUOTE_NOT_FOUND')))) missing++;
-      }
-      return { output: out, missingCount: missing };
-    }
-
-    // Find column indices in current data
-    const currentReferenceIndex = currentHeaders.indexOf('Reference');
-    const currentIDIndex = currentHeaders.indexOf('ID');
-    let currentQuoteIndex = currentHeaders.indexOf('Quote');
-    if (currentQuoteIndex === -1) {
-      currentQuoteIndex = currentHeaders.indexOf('OrigQuote');
-    }
-    if (currentQuoteIndex === -1) {
-      currentQuoteIndex = currentHeaders.indexOf('OrigWords');
-    }
-    const currentOccurrenceIndex = currentHeaders.indexOf('Occurrence');
-
-    if (currentOccurrenceIndex === -1) {
-      console.error('No Occurrence column found in current TSV');
-      return addEmptyGLQuoteColumns(tsvContent);
-    }
-
-    // Add GLQuote and GLOccurrence headers after Occurrence
-    const newHeaders = [...currentHeaders];
-    newHeaders.splice(currentOccurrenceIndex + 1, 0, 'GLQuote', 'GLOccurrence');
-
-    // Process each data row
-    const newRows = [newHeaders];
-
-    let matchedCount = 0;
-    for (let i = 1; i < currentRows.length; i++) {
-      const currentRow = currentRows[i];
-      if (currentRow.length <= 1) {
-        // Skip empty rows but add the new columns
-        const newRow = [...currentRow];
-        while (newRow.length < newHeaders.length) {
-          newRow.push('');
-        }
-        newRows.push(newRow);
-        continue;
-      }
-
-      // Find matching row in previous data
-      let matchedPrevRow = null;
-
-      for (let j = 1; j < previousRows.length; j++) {
-        const prevRow = previousRows[j];
-        if (prevRow.length <= 1) continue;
-
-        // Check for matches on Reference, ID, Quote, AND Occurrence (all must match)
-        const matches = [
-          currentReferenceIndex >= 0 && prevReferenceIndex >= 0 &&
-          currentRow[currentReferenceIndex] === prevRow[prevReferenceIndex],
-
-          currentIDIndex >= 0 && prevIDIndex >= 0 &&
-          currentRow[currentIDIndex] === prevRow[prevIDIndex],
-
-          currentQuoteIndex >= 0 && prevQuoteIndex >= 0 &&
-          currentRow[currentQuoteIndex] === prevRow[prevQuoteIndex],
-
-          currentOccurrenceIndex >= 0 && prevOccurrenceIndex >= 0 &&
-          currentRow[currentOccurrenceIndex] === prevRow[prevOccurrenceIndex]
-        ];
-
-        if (matches.every(match => match)) {
-          matchedPrevRow = prevRow;
-          break;
-        }
-      }
-
-      // Create new row with GLQuote and GLOccurrence values
-      const newRow = [...currentRow];
-
-      // Insert GLQuote and GLOccurrence after Occurrence column
-      const glQuoteValue = matchedPrevRow ? (matchedPrevRow[prevGLQuoteIndex] || '') : '';
-      const glOccurrenceValue = matchedPrevRow ? (matchedPrevRow[prevGLOccurrenceIndex] || '') : '';
-      if (matchedPrevRow && (glQuoteValue !== '' || glOccurrenceValue !== '')) matchedCount++;
-
-      newRow.splice(currentOccurrenceIndex + 1, 0, glQuoteValue, glOccurrenceValue);
-
-      // Ensure row has correct number of columns
-      while (newRow.length < newHeaders.length) {
-        newRow.push('');
-      }
-
-      newRows.push(newRow);
-    }
-
-    // Convert back to TSV string
-    const result = newRows.map(row => row.join('\t')).join('\n');
-
-    // Count missing GLQuote after merge
-    const mergedRows = newRows;
-    const glQuoteIdx = newHeaders.indexOf('GLQuote');
-    const occurrenceIdx = newHeaders.indexOf('Occurrence');
-    const quoteIdx = newHeaders.indexOf('Quote') !== -1 ? newHeaders.indexOf('Quote') : newHeaders.indexOf('OrigQuote') !== -1 ? newHeaders.indexOf('OrigQuote') : newHeaders.indexOf('OrigWords');
-    let missingCount = 0;
-    if (glQuoteIdx >= 0) {
-      for (let i = 1; i < mergedRows.length; i++) {
-        const r = mergedRows[i];
-        if (r.length > 1) {
-          const quoteHasQNF = r[quoteIdx]?.includes('QUOTE_NOT_FOUND');
-          const glqMissingOrQNF = (!r[glQuoteIdx]?.trim() || r[glQuoteIdx].includes('QUOTE_NOT_FOUND'));
-          if (r[quoteIdx]?.trim() && r[occurrenceIdx]?.trim() && r[occurrenceIdx] !== "0" && (glqMissingOrQNF || quoteHasQNF)) missingCount++;
-        }
-      }
-    }
-
-    if (argv.verbose) {
-      log(`Successfully merged GL quotes from previous version`);
-    }
-    const totalDataRows = mergedRows.filter(r => r.length > 1).length;
-    if (argv.debug && !argv.quiet) dlog(`Book ${fileName}: cache hits=${matchedCount}, misses=${missingCount}, total=${totalDataRows}`);
-    return { output: result, missingCount, matchedCount, totalDataRows };
-
+    settings = resolveSettings({
+      workingdir: argv.workingdir,
+      config: config || false,
+      glob: argv.glob,
+      books: argv.books,
+      excludeBooks: argv['exclude-books'],
+      includeUnselected: argv['include-unselected'],
+      owner: argv.owner,
+      repo: argv.repo,
+      ref: argv.ref,
+      bibleLinks: argv.bible,
+      quoteColumn: argv['quote-column'],
+      occurrenceColumn: argv['occurrence-column'],
+      columnPosition: argv['column-position'],
+      pinBibles: argv['pin-bibles'],
+      refreshOnBibleChange: argv['refresh-on-bible-change'],
+      dcsUrl: argv.dcs,
+      token: argv.token,
+      artifactsBaseUrl: argv['artifacts-base-url'],
+      artifactName: argv['artifact-name'],
+      artifactId: argv['artifact-id'],
+      backupArtifactUrl: argv['backup-artifact-url'],
+      useBackupArtifact: argv['use-backup-artifact'],
+      previous: argv.previous,
+      // Support both --rerender and --regenerate (back-compat)
+      regenerateAll: argv['regenerate'] || argv['rerender'],
+      exitOnError: argv.exitOnError,
+      concurrency: argv.concurrency,
+      timeout: argv.timeout,
+      retries: argv.retries,
+      zip: argv.zip,
+      outputZipFile: argv['output-zip-file'],
+      zipInclude: argv['zip-include'],
+      zipFolder: argv['zip-folder'],
+      tsv: argv.tsv,
+      tsvSuffix: argv['tsv-suffix'],
+      quoteCache: argv['quote-cache'],
+      cacheDir: argv['cache-dir'],
+      offline: argv.offline,
+      resourceCache: argv['resource-cache'],
+      report: argv.report,
+      errorsFile: argv['errors-file'],
+      diagnostics: argv.diagnostics,
+      check: argv.check,
+      dryRun: argv['dry-run'],
+      diff: argv.diff,
+      quiet: argv.quiet,
+      verbose: argv.verbose,
+      debug: argv.debug,
+      // Allow summary-only mode for tests (skip generation and writing after the summary)
+      summaryOnly: process.env.SUMMARY_ONLY === '1',
+    }, logger);
   } catch (error) {
-    console.error(`Error merging previous GL quotes:`, error.message);
-    const out = addEmptyGLQuoteColumns(tsvContent);
-    const rows = out.split('\n').map(l => l.split('\t'));
-    const glQuoteIndex = rows[0].indexOf('GLQuote');
-    const occurrenceIndex = rows[0].indexOf('Occurrence');
-    const quoteIndex = rows[0].indexOf('Quote') !== -1 ? rows[0].indexOf('Quote') : rows[0].indexOf('OrigQuote') !== -1 ? rows[0].indexOf('OrigQuote') : rows[0].indexOf('OrigWords');
-    let missing = 0;
-    if (glQuoteIndex >= 0) {
-      for (let i = 1; i < rows.length; i++) if (rows[i].length > 1 && (rows[i][quoteIndex]?.trim() && rows[i][occurrenceIndex]?.trim() && rows[i][occurrenceIndex] != "0" && ((!rows[i][glQuoteIndex]?.trim() || rows[i][glQuoteIndex].includes('QUOTE_NOT_FOUND')) || rows[i][quoteIndex]?.includes('QUOTE_NOT_FOUND')))) missing++;
-    }
-    const totalDataRows = rows.filter(r => r.length > 1).length;
-    if (argv.debug && !argv.quiet) dlog(`Book ${fileName}: error merging previous; will generate for ${missing}/${totalDataRows}`);
-    return { output: out, missingCount: missing, matchedCount: 0, totalDataRows };
+    console.error('Error:', error.message);
+    process.exit(1);
   }
-}
-
-function getIndexBundle(headers) {
-  const idx = {
-    ref: headers.indexOf('Reference'),
-    id: headers.indexOf('ID'),
-    quote: headers.indexOf('Quote'),
-    occ: headers.indexOf('Occurrence'),
-    glq: headers.indexOf('GLQuote'),
-    glo: headers.indexOf('GLOccurrence')
-  };
-  if (idx.quote === -1) idx.quote = headers.indexOf('OrigQuote');
-  if (idx.quote === -1) idx.quote = headers.indexOf('OrigWords');
-  return idx;
-}
-
-function makeRowKey(row, idx) {
-  const parts = [];
-  if (idx.ref >= 0) parts.push(row[idx.ref] ?? '');
-  if (idx.id >= 0) parts.push(row[idx.id] ?? '');
-  if (idx.quote >= 0) parts.push(row[idx.quote] ?? '');
-  if (idx.occ >= 0) parts.push(row[idx.occ] ?? '');
-  return parts.join('\u241F'); // unit separator-like char to reduce collisions
-}
 
-function buildPartialTSVForMissing(fullTSV) {
-  let rows = fullTSV.split('\n').filter(row => row.trim()).map(l => l.split('\t'));
-  let headers = rows[0];
-  let idx = getIndexBundle(headers);
-  // Ensure GLQuote columns exist; if not, add them so we don't end up with header-only partials
-  if (idx.glq === -1 || idx.glo === -1) {
-    const withCols = addEmptyGLQuoteColumns(fullTSV);
-    rows = withCols.split('\n').map(l => l.split('\t'));
-    headers = rows[0];
-    idx = getIndexBundle(headers);
+  const { workingdir, owner, repo, ref, dcsUrl, bibleLinks } = settings;
+  log('owner:', owner, 'repo:', repo, 'ref:', ref, 'dcsUrl:', dcsUrl, 'targetBibleLink:', bibleLinks);
+  if (!owner || !repo || !ref || !dcsUrl) {
+    console.error('Error: Missing required parameters. Use --help for usage information.');
+    process.exit(1);
   }
 
-  const outRows = [headers];
-  const keys = new Set();
-  const missingKeys = [];
-  for (let i = 1; i < rows.length; i++) {
-    const r = rows[i];
-    if (r.length <= 1) continue;
-    const quoteText = idx.quote >= 0 ? (r[idx.quote] || '') : '';
-    const occText = idx.occ >= 0 ? (r[idx.occ] || '') : '';
-    const glqText = idx.glq >= 0 ? (r[idx.glq] || '') : '';
-    const needs = (
-      (quoteText?.trim() && occText?.trim() && occText !== '0' && (!glqText?.trim() || glqText.includes('QUOTE_NOT_FOUND')))
-      || (quoteText.includes('QUOTE_NOT_FOUND'))
-    );
-    if (needs) {
-      outRows.push(r);
-      const key = makeRowKey(r, idx);
-      keys.add(key);
-      // friendly descriptor for debug visibility
-      if (missingKeys.length < 10) {
-        const ref = idx.ref >= 0 ? (r[idx.ref] || '') : '';
-        const id = idx.id >= 0 ? (r[idx.id] || '') : '';
-        const qt = idx.quote >= 0 ? (r[idx.quote] || '') : '';
-        const oc = idx.occ >= 0 ? (r[idx.occ] || '') : '';
-        missingKeys.push(`${ref}${ref ? ' ' : ''}[ID:${id}] ${qt}${oc ? ` (occ ${oc})` : ''}`.trim());
+  log('Using the following settings:\n');
+  log(`Working directory: ${workingdir}`);
+  log(`Config file: ${settings.config || 'none'}`);
+  for (const [name, value] of Object.entries(settings.configOptions || {})) {
+    if (name === 'overrides') {
+      for (const [books, override] of Object.entries(value || {})) {
+        log(`  overrides for ${books}: ${Object.entries(override).map(([key, v]) => `${key}=${v}`).join(', ')}`);
       }
+    } else {
+      log(`  ${name}: ${Array.isArray(value) ? value.join(', ') : value}`);
     }
   }
-  return { partialTSV: outRows.map(r => r.join('\t')).join('\n'), keys, idx, headers, rows, missingKeys };
-}
-
-function mergePartialBack(fullTSV, partialTSV) {
-  const fullRows = fullTSV.split('\n').map(l => l.split('\t'));
-  const fullHeaders = fullRows[0];
-  const fullIdx = getIndexBundle(fullHeaders);
-
-  const partRows = partialTSV.split('\n').map(l => l.split('\t'));
-  const partHeaders = partRows[0];
-  const partIdx = getIndexBundle(partHeaders);
-
-  // Build map key -> {glq,glo}
-  const map = new Map();
-  for (let i = 1; i < partRows.length; i++) {
-    const r = partRows[i];
-    if (r.length <= 1) continue;
-    const key = makeRowKey(r, partIdx);
-    map.set(key, {
-      glq: partIdx.glq >= 0 ? (r[partIdx.glq] ?? '') : '',
-      glo: partIdx.glo >= 0 ? (r[partIdx.glo] ?? '') : ''
-    });
+  log(`Owner: ${owner}`);
+  log(`Repo: ${repo}`);
+  log(`Ref: ${ref}`);
+  log(`TargetBibleLink: ${settings.bibles.map((bible) => (bible.label ? `${bible.label}=${bible.bibleLink}` : bible.bibleLink)).join(', ')}`);
+  log(`GL quote columns: ${settings.bibles.map((bible) => `${bible.columns.glQuote}, ${bible.columns.glOccurrence}`).join('; ')} (${settings.columns.position})`);
+  log(`Books: ${settings.books ? [...settings.books].join(',') : 'all'}${settings.excludeBooks ? ` (excluding ${[...settings.excludeBooks].join(',')})` : ''}`);
+  log('Pin Bibles:', settings.pinBibles && !settings.offline);
+  log('Refresh on Bible change:', settings.refreshOnBibleChange);
+  log(`DCS URL: ${dcsUrl}`);
+  // Only whether there is one; the token itself is never printed
+  log('DCS token:', settings.http.token ? 'set' : 'none');
+  log(`Quote cache: ${settings.quoteCacheDir || 'disabled'}`);
+  log('Offline mode:', settings.offline);
+  log(`Resource cache: ${settings.resourceCache || 'none'}`);
+  log(`Backup artifact URL: ${settings.backupArtifactUrl}`);
+  log('Use backup artifact:', settings.useBackupArtifact);
+  log(`Previous GL quotes: ${settings.previous || (settings.artifactId ? `artifact ${settings.artifactId}` : `latest artifact${settings.artifactName ? ` named ${settings.artifactName}` : ''} of ${ref} or the default branch`)}`);
+  log('Quiet mode:', settings.quiet);
+  log('Verbose mode:', settings.verbose);
+  log('Exit on error:', settings.exitOnError);
+  log('Concurrency:', settings.concurrency);
+  log(`HTTP timeout: ${settings.http.timeout ? `${settings.http.timeout}s` : 'none'}, retries: ${settings.http.retries}`);
+  const writesFiles = !settings.check && !settings.dryRun;
+  // Summary-only runs generate nothing, so they write no errors.json either
+  const writesErrors = writesFiles && !settings.summaryOnly;
+  log('Check mode:', settings.check);
+  log('Dry run:', settings.dryRun);
+  log('Create zip file:', settings.createZip && writesFiles);
+  log('Write TSV files:', settings.writeTsv && writesFiles);
+  log('TSV suffix:', settings.tsvSuffix || 'none');
+  if (settings.createZip && writesFiles) {
+    log(`Output zip file path: ${settings.outputZipFile}`);
+    log(`Zip file includes: ${settings.zipInclude.join(', ')}${settings.zipFolder ? ` (in ${settings.zipFolder}/)` : ''}`);
   }
-
-  // Merge values
-  for (let i = 1; i < fullRows.length; i++) {
-    const r = fullRows[i];
-    if (r.length <= 1) continue;
-    const key = makeRowKey(r, fullIdx);
-    const v = map.get(key);
-    if (!v) continue;
-    if (fullIdx.glq >= 0) r[fullIdx.glq] = v.glq;
-    if (fullIdx.glo >= 0) r[fullIdx.glo] = v.glo;
+  if (settings.report) {
+    log(`Report: ${settings.report}`);
+  }
+  if (settings.diagnostics) {
+    log(`Diagnostics: ${settings.diagnostics}`);
+  }
+  if (settings.diff) {
+    log(`Diff: ${settings.diff === true ? 'console' : settings.diff}`);
+  }
+  if (settings.errorsFile && writesErrors) {
+    log(`Errors file: ${settings.errorsFile}`);
   }
 
-  return fullRows.map(r => r.join('\t')).join('\n');
-}
-
-/**
- * Adds empty GLQuote and GLOccurrence columns to TSV content
- * @param {string} tsvContent - The current TSV content
- * @returns {string} - The TSV content with empty GL quote columns added
- */
-function addEmptyGLQuoteColumns(tsvContent) {
-  try {
-    const rows = tsvContent.split('\n').map(line => line.split('\t'));
-    const headers = rows[0];
-    const occurrenceIndex = headers.indexOf('Occurrence');
-
-    if (occurrenceIndex === -1) {
-      console.error('No Occurrence column found, cannot add GL quote columns');
-      return tsvContent;
-    }
-
-    // Add headers
-    headers.splice(occurrenceIndex + 1, 0, 'GLQuote', 'GLOccurrence');
-
-    // Add empty values to all data rows
-    for (let i = 1; i < rows.length; i++) {
-      if (rows[i].length > 1) {
-        rows[i].splice(occurrenceIndex + 1, 0, '', '');
-      } else {
-        // Handle empty rows
-        while (rows[i].length < headers.length) {
-          rows[i].push('');
-        }
-      }
-    }
-
-    return rows.map(row => row.join('\t')).join('\n');
-  } catch (error) {
-    console.error(`Error adding empty GL quote columns:`, error.message);
-    return tsvContent;
+  if (argv._[0] === 'prefetch') {
+    await prefetch(settings);
+    return;
   }
-}
 
-async function main() {
-  const errors = [];
   try {
-    if (workingdir && workingdir !== process.cwd()) {
-      if (!fs.existsSync(argv.workingdir)) {
-        throw new Error(`Working directory ${argv.workingdir} does not exist`);
-      }
-      process.chdir(argv.workingdir);
-    }
-
-    // Process files
-    const files = fs.readdirSync('.');
-    const tsvFiles = files.filter((file) => file.endsWith('.tsv') && file.split('_').length === 2);
-
-    if (tsvFiles.length === 0) {
-      throw new Error('No TSV files found in working directory');
+    const { errors, warnings, aborted, check } = await processTsvFiles({ ...settings, logger });
+    // Check, dry-run and summary-only runs write no errors.json
+    if (writesErrors) {
+      writeErrorsToFile(errors, settings.errorsFile, logger, warnings, { always: settings.errorsFileGiven });
     }
-
-    // Determine output behavior based on flags
-    const shouldCreateZip = argv.zip || !!argv['output-zip-file']; // Default behavior if --zip or --output-zip-file is specified
-    const shouldWriteTsv = !argv.zip || argv.tsv || !!argv['tsv-suffix']; // Default behavior unless --zip is specified without --tsv
-    const tsvSuffix = argv['tsv-suffix'] || '';
-
-    let zip;
-    if (shouldCreateZip) {
-      zip = new AdmZip();
-    }
-
-    for (const file of tsvFiles) {
-      log(`Processing ${file}...`);
-      const bookCode = (file.split('_')?.[1]?.toLowerCase() || file.toLowerCase()).split('.')[0];
-      let tsvContent = fs.readFileSync(file, 'utf8');
-
-      // If --regenerate flag is set, all GL Quotes will be regenerated even if they exit
-      if (regenerateAll) {
-        if (argv.verbose) {
-          log(`Regenerating all GL Quotes for ${file}`);
-        }
-      } else {
-        if (argv.verbose) {
-          log(`Attempting to merge previous GL quotes for ${file}`);
-        }
-        const merged = await mergePreviousGLQuotes(tsvContent, file, repo);
-        tsvContent = merged.output;
-        // Single-line summary (always shown unless --quiet)
-        log(`Summary for ${file}: cache hits=${merged.matchedCount || 0}, to-generate=${merged.missingCount}, total=${merged.totalDataRows}`);
-        if (argv.debug && !argv.quiet) {
-          dlog(`Book ${file}: pre-merge summary: cache hits=${merged.matchedCount || 0}, to-generate=${merged.missingCount}, total=${merged.totalDataRows}`);
-        }
-        // Allow summary-only mode for tests (skip generation and exit after summary)
-        if (process.env.SUMMARY_ONLY === '1') {
-          // Exit right after printing the summary for deterministic tests
-          process.exit(0);
-        }
-
-        // If everything is covered by previous GL quotes, skip regeneration entirely
-        if (merged.missingCount === 0) {
-          if (argv.verbose) log(`All rows covered by previous GL quotes for ${file}; skipping generation.`);
-          const result = { output: tsvContent };
-          if (shouldWriteTsv) {
-            let outputFileName = file;
-            if (tsvSuffix) {
-              const baseName = file.replace('.tsv', '');
-              outputFileName = `${baseName}_${tsvSuffix}.tsv`;
-            }
-            fs.writeFileSync(outputFileName, result.output, 'utf8');
-            log(`Written TSV file: ${outputFileName}`);
-          }
-          if (shouldCreateZip) {
-            zip.addFile(file, Buffer.from(result.output, 'utf8'));
-          }
-          // Skip to next file
-          continue;
-        }
-
-        // If only some rows are missing, generate GL quotes only for those rows
-        const totalRows = merged.totalDataRows ?? (tsvContent.split('\n').length - 1);
-        let partialCompleted = false;
-        if (merged.missingCount > 0 && merged.missingCount < totalRows) {
-          if (argv.verbose) log(`Generating GL quotes for ${merged.missingCount}/${totalRows} rows in ${file}`);
-          if (argv.debug && !argv.quiet) dlog(`Book ${file}: starting partial generation for ${merged.missingCount} rows`);
-          const { partialTSV, missingKeys } = buildPartialTSVForMissing(tsvContent);
-          console.log(`Partial TSV has ${partialTSV.split('\n').length - 1} rows (of which ${missingKeys.size} are missing GL quotes)`);
-          console.log(partialTSV);
-          if (argv.debug && !argv.quiet && missingKeys?.length) {
-            dlog(`First missing rows (${Math.min(missingKeys.length, 10)} shown):`);
-            for (const mk of missingKeys) dlog(`  - ${mk}`);
-          }
-
-          const partialParams = {
-            bibleLinks: targetBibleLinks,
-            bookCode,
-            tsvContent: partialTSV,
-            isSourceLanguage: true,
-            trySeparatorsAndOccurrences: true,
-            dcsUrl: dcsUrl,
-            quiet: argv.quiet || !argv.verbose,
-            usePreviousGLQuotes: !regenerateAll,
-          };
-
-          // Validate partial TSV content before processing
-          if (!partialTSV || typeof partialTSV !== 'string') {
-            throw new Error(`Invalid partial TSV content for ${file}: content is not a string`);
-          }
-
-          const partialLines = partialTSV.split('\n');
-          if (partialLines.length < 2) {
-            throw new Error(`Invalid partial TSV content for ${file}: not enough lines (header + data)`);
-          }
-
-          let partialResult;
-          try {
-            partialResult = await addGLQuoteCols(partialParams);
-            // Merge back into the full TSV
-            tsvContent = mergePartialBack(tsvContent, partialResult.output);
-            // Recount missing; if none missing, we can skip full generation
-            const rowsAfter = tsvContent.split('\n').map(l => l.split('\t'));
-            const headersAfter = rowsAfter[0];
-            const idxAfter = getIndexBundle(headersAfter);
-            let missingAfter = 0;
-            if (idxAfter.glq >= 0) {
-              for (let i = 1; i < rowsAfter.length; i++) {
-                const r = rowsAfter[i];
-                if (r.length > 1) {
-                  const quoteText = idxAfter.quote >= 0 ? (r[idxAfter.quote] || '') : '';
-                  const occText = idxAfter.occ >= 0 ? (r[idxAfter.occ] || '') : '';
-                  const glqText = idxAfter.glq >= 0 ? (r[idxAfter.glq] || '') : '';
-                  const needs = (
-                    (quoteText?.trim() && occText?.trim() && occText !== '0' && (!glqText?.trim() || glqText.includes('QUOTE_NOT_FOUND')))
-                    || (quoteText.includes('QUOTE_NOT_FOUND'))
-                  );
-                  if (needs) missingAfter++;
-                }
-              }
-            }
-            if (argv.debug && !argv.quiet) {
-              const generatedNow = merged.missingCount - missingAfter;
-              dlog(`Book ${file}: partial generation done; generated=${generatedNow}, remaining missing=${missingAfter}`);
-            }
-            if (missingAfter === 0) {
-              partialCompleted = true;
-              if (argv.verbose) log(`Partial generation completed for ${file}; skipping full generation.`);
-            }
-          } catch (e) {
-            console.error(`Partial generation failed for ${file}:`, e.message);
-            // Fallback to full generation for this file
-          }
-        }
-        if (partialCompleted) {
-          const result = { output: tsvContent };
-          if (shouldWriteTsv) {
-            let outputFileName = file;
-            if (tsvSuffix) {
-              const baseName = file.replace('.tsv', '');
-              outputFileName = `${baseName}_${tsvSuffix}.tsv`;
-            }
-            fs.writeFileSync(outputFileName, result.output, 'utf8');
-            log(`Written TSV file: ${outputFileName}`);
-          }
-          if (shouldCreateZip) {
-            zip.addFile(file, Buffer.from(result.output, 'utf8'));
-          }
-          continue; // move to next file; skip full generation
-        }
-      }
-
-      const params = {
-        bibleLinks: targetBibleLinks,
-        bookCode,
-        tsvContent,
-        isSourceLanguage: true,
-        trySeparatorsAndOccurrences: true,
-        dcsUrl: dcsUrl,
-        quiet: argv.quiet || !argv.verbose,
-        usePreviousGLQuotes: !regenerateAll,
-      };
-
-      if (argv.verbose) {
-        log(params);
-      }
-
-      // Validate TSV content before processing
-      if (!tsvContent || typeof tsvContent !== 'string') {
-        throw new Error(`Invalid TSV content for ${file}: content is not a string`);
-      }
-
-      const tsvLines = tsvContent.split('\n');
-      if (tsvLines.length < 2) {
-        throw new Error(`Invalid TSV content for ${file}: not enough lines (header + data)`);
-      }
-
-      let result;
-      try {
-        result = await addGLQuoteCols(params);
-        if (argv.debug && !argv.quiet) {
-          const rowsAfter = result.output.split('\n').map(l => l.split('\t'));
-          const headersAfter = rowsAfter[0];
-          const idxAfter = getIndexBundle(headersAfter);
-          let missingAfter = 0;
-          if (idxAfter.glq >= 0) {
-            for (let i = 1; i < rowsAfter.length; i++) {
-              const r = rowsAfter[i];
-              if (r.length > 1) {
-                const quoteText = idxAfter.quote >= 0 ? (r[idxAfter.quote] || '') : '';
-                const occText = idxAfter.occ >= 0 ? (r[idxAfter.occ] || '') : '';
-                const glqText = idxAfter.glq >= 0 ? (r[idxAfter.glq] || '') : '';
-                const needs = (
-                  (quoteText?.trim() && occText?.trim() && occText !== '0' && (!glqText?.trim() || glqText.includes('QUOTE_NOT_FOUND')))
-                  || (quoteText.includes('QUOTE_NOT_FOUND'))
-                );
-                if (needs) missingAfter++;
-              }
-            }
-          }
-          const totalDataRows = rowsAfter.filter(r => r.length > 1).length;
-          dlog(`Book ${file}: full generation complete; present=${totalDataRows - missingAfter}, missing=${missingAfter}, total=${totalDataRows}`);
-        }
-      } catch (error) {
-        // Handle error from addGLQuoteCols
-        if (argv.exitOnError) {
-          console.error(`Error processing ${file} with addGLQuoteCols:`, error.message);
-          errors.push({ file, error: error.message });
-          writeErrorsToFile(errors);
-          console.error('Exiting due to errors and --exit-on-error flag');
-          process.exit(1);
-        }
-
-        console.error(`Error processing ${file} with addGLQuoteCols:`, error.message);
-        errors.push({ file, error: error.message });
-
-        try {
-          // Fallback: Manually add GLQuote columns to TSV
-          log(`Falling back to manual TSV processing for ${file}...`);
-
-          // Read and parse the TSV
-          const rows = tsvContent.split('\n').map((line) => line.split('\t'));
-          const headers = rows[0];
-
-          // Find the Occurrence column index
-          const occurrenceIndex = headers.findIndex((h) => h === 'Occurrence');
-
-          if (occurrenceIndex !== -1) {
-            // Add new headers after the Occurrence column
-            headers.splice(occurrenceIndex + 1, 0, 'GLQuote', 'GLOccurrence');
-
-            // Add empty values for the new columns in all data rows
-            for (let i = 1; i < rows.length; i++) {
-              if (rows[i].length > 1) {
-                // Skip empty rows
-                rows[i].splice(occurrenceIndex + 1, 0, '', '');
-              }
-            }
-
-            // Convert back to TSV
-            result = {
-              output: rows.map((row) => row.join('\t')).join('\n'),
-            };
-          } else {
-            // If Occurrence column not found, just use original content
-            log(`Couldn't find 'Occurrence' column in ${file}, using original content`);
-            result = { output: tsvContent };
-          }
-        } catch (parseError) {
-          console.error(`Error manually processing ${file}:`, parseError.message);
-          result = { output: tsvContent }; // Use original content
-        }
-      }
-
-      // Handle TSV file output
-      if (shouldWriteTsv) {
-        let outputFileName = file;
-        if (tsvSuffix) {
-          // Insert suffix before .tsv extension
-          const baseName = file.replace('.tsv', '');
-          outputFileName = `${baseName}_${tsvSuffix}.tsv`;
-        }
-
-        fs.writeFileSync(outputFileName, result.output, 'utf8');
-        log(`Written TSV file: ${outputFileName}`);
-      }
-
-      // Handle zip file output
-      if (shouldCreateZip) {
-        zip.addFile(file, Buffer.from(result.output, 'utf8'));
-      }
-    }
-
-    // Write zip file if requested
-    if (shouldCreateZip) {
-      zip.writeZip(zipFilePath);
-      log(`Created ${zipFilePath}`);
-    }
-
-    if (errors.length > 0) {
-      writeErrorsToFile(errors);
+    if (aborted || (check && !check.passed)) {
+      process.exit(1);
     }
   } catch (error) {
     console.error('Error:', error.message);
-    writeErrorsToFile([{ file: '', error: error.message }]);
+    if (writesErrors) {
+      writeErrorsToFile([{ code: classifyError(error), file: '', error: error.message }], settings.errorsFile, logger);
+    }
     process.exit(1);
   }
 }
@@ -0,0 +1,44 @@
+export { checkManifestBible, processTsvFiles, findTsvFiles, selectBookFiles } from './src/process.js';
+export { resolveSettings, withBibleLink } from './src/settings.js';
+export { CONFIG_FILES, PACKAGE_JSON_KEY, loadConfig, mergeConfig } from './src/config.js';
+export { createBufferedLogger, createLogger } from './src/logger.js';
+export { getGitInfo, getMergeBase } from './src/git.js';
+export {
+  BIBLE_RELATION_IDS,
+  getBibleCandidates,
+  getManifestProjects,
+  getTargetBibleLink,
+  parseRelation,
+  recordGLQuotesInManifest,
+  selectManifestBible,
+} from './src/manifest.js';
+export { DEFAULT_TSV_GLOB, findIncludedFiles, findProjectFiles, globToRegExp } from './src/projects.js';
+export { DEFAULT_ZIP_INCLUDE, buildZip } from './src/zip.js';
+export { ERROR_CODES, classifyError, parseConverterError, writeErrorsToFile } from './src/errors.js';
+export { buildReport, writeReport } from './src/report.js';
+export { formatGLQuoteDiff, outputGLQuoteDiff } from './src/diff.js';
+export { DIAGNOSTIC_REASONS, diagnoseRow, diagnoseTsv, parseUsfmVerses, writeDiagnostics } from './src/diagnostics.js';
+export { BOOKS, OBS_CODE, bookCodeFromFileName, getBook, isProjectCode, parseBookSelection } from './src/books.js';
+export { applyQuoteCache, clearQuoteCache, loadQuoteCache, saveQuoteCache, updateQuoteCache } from './src/quoteCache.js';
+export { defaultCacheDir, fetchBookUsfm, prefetchResources, startResourceServer } from './src/resources.js';
+export { DEFAULT_HTTP_OPTIONS, fetchWithRetry, httpOptions, parseRetryAfter } from './src/http.js';
+export { SOURCES_FILE, bibleChanged, buildSourcesFile, getPreviousSources, listBibleVersions, pinBibles, resolveBibleVersion } from './src/versions.js';
+export { DEFAULT_ARTIFACT_NAME, findArtifact, listArtifacts, selectArtifact } from './src/artifacts.js';
+export { addPreviousWarning, createPreviousGLQuotesCache, getPreviousGLQuotes, isUrl, mergePreviousGLQuotes } from './src/previous.js';
+export {
+  DEFAULT_GL_COLUMNS,
+  GL_COLUMN_POSITIONS,
+  addEmptyGLQuoteColumns,
+  buildPartialTSVForMissing,
+  countMissingGLQuotes,
+  diffGLQuotes,
+  getIndexBundle,
+  isDataRow,
+  makeRowKey,
+  mergePartialBack,
+  readTsv,
+  rowNeedsGLQuote,
+  toConverterTsv,
+  validateTsvStructure,
+  writeTsv,
+} from './src/tsv.js';
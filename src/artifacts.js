@@ -0,0 +1,177 @@
+import { getMergeBase } from './git.js';
+import { fetchWithRetry, httpOptions } from './http.js';
+import { globToRegExp } from './projects.js';
+
+/**
+ * Default pattern of the names of the artifacts with previous GL quotes, e.g. en_tn_master_with_gl_quotes
+ */
+export const DEFAULT_ARTIFACT_NAME = '*_with_gl_quotes';
+
+const PAGE_SIZE = 50;
+// Enough for the artifacts of a busy repo; older ones are of little use anyway
+const MAX_PAGES = 20;
+
+/**
+ * Hint for responses of the artifacts API that mean a token is missing or not allowed to read the repo
+ * @param {Response} res - The response
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @returns {string} - The hint to append to the error message, or ''
+ */
+export function authHint(res, settings) {
+  if (res.status !== 401 && res.status !== 403) {
+    return '';
+  }
+  return settings.http?.token ? ' (is the DCS token allowed to read the repo?)' : ' (a private repo needs --token or DCS_TOKEN)';
+}
+
+async function fetchJson(url, settings, logger) {
+  logger.dlog(`Artifacts API: ${url}`);
+  const res = await fetchWithRetry(url, httpOptions(settings, logger));
+  if (!res.ok) {
+    throw new Error(`Failed to list artifacts: ${res.status} ${res.statusText}${authHint(res, settings)}`);
+  }
+  return res.json();
+}
+
+function artifactsApi({ artifactsBaseUrl, owner, repo }) {
+  return `${artifactsBaseUrl}/api/v1/repos/${owner}/${repo}/actions/artifacts`;
+}
+
+/**
+ * Lists the artifacts of the repo, page by page, until `enough` is true for a page or all are listed
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} logger - Logger from createLogger()
+ * @param {(page: object[]) => boolean} [enough] - Whether a page has what is looked for; the API lists the newest first
+ * @returns {Promise<object[]>} - The artifacts, as the API returned them
+ */
+export async function listArtifacts(settings, logger, enough = () => false) {
+  const artifacts = new Map();
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const data = await fetchJson(`${artifactsApi(settings)}?page=${page}&limit=${PAGE_SIZE}`, settings, logger);
+    const pageArtifacts = Array.isArray(data?.artifacts) ? data.artifacts : [];
+    const before = artifacts.size;
+    for (const artifact of pageArtifacts) {
+      artifacts.set(artifact.id ?? `${page}:${artifacts.size}`, artifact);
+    }
+    // Servers that ignore the paging give the same artifacts again
+    const done = artifacts.size === before
+      || (typeof data?.total_count === 'number' ? artifacts.size >= data.total_count : pageArtifacts.length < PAGE_SIZE);
+    if (done || enough(pageArtifacts)) {
+      break;
+    }
+  }
+  return [...artifacts.values()];
+}
+
+function isArtifactOf(artifact, branch) {
+  return Boolean(branch) && (artifact.workflow_run?.head_branch === branch
+    || artifact.name === `${branch}_with_gl_quotes`
+    || artifact.name.endsWith(`_${branch}_with_gl_quotes`));
+}
+
+function newest(artifacts) {
+  return artifacts.reduce((best, cur) => {
+    if (!best) return cur;
+    const bestId = typeof best.id === 'number' ? best.id : -1;
+    const curId = typeof cur.id === 'number' ? cur.id : -1;
+    if (curId !== bestId) return curId > bestId ? cur : best;
+    // fallback to created_at comparison
+    const bt = Date.parse(best.created_at || best.created || 0) || 0;
+    const ct = Date.parse(cur.created_at || cur.created || 0) || 0;
+    return ct > bt ? cur : best;
+  }, null);
+}
+
+/**
+ * Picks the artifact with the previous GL quotes for a ref: the newest usable one whose name matches
+ * the pattern, preferring one of the same ref, then one of the commit the ref forked from, then one
+ * of the default branch. With an explicit name pattern, the newest match is the last resort.
+ * @param {object[]} artifacts - Artifacts from listArtifacts()
+ * @param {object} target
+ * @param {string} target.ref - The ref being processed
+ * @param {string|null} [target.mergeBase] - Commit the ref forked from the default branch
+ * @param {string|null} [target.defaultBranch] - Default branch of the repo
+ * @param {string|null} [target.artifactName] - Explicit name pattern (default: DEFAULT_ARTIFACT_NAME)
+ * @returns {{artifact: object, selectedBy: string}|null} - selectedBy is ref, merge base, default branch or name
+ */
+export function selectArtifact(artifacts, { ref, mergeBase = null, defaultBranch = null, artifactName = null }) {
+  const pattern = globToRegExp(artifactName || DEFAULT_ARTIFACT_NAME);
+  const usable = artifacts.filter((artifact) => typeof artifact?.name === 'string'
+    && pattern.test(artifact.name)
+    && artifact.archive_download_url
+    && artifact.expired === false);
+  const preferences = [
+    ['ref', (artifact) => isArtifactOf(artifact, ref)],
+    ['merge base', (artifact) => Boolean(mergeBase) && artifact.workflow_run?.head_sha === mergeBase],
+    ['default branch', (artifact) => isArtifactOf(artifact, defaultBranch)],
+  ];
+  if (artifactName) {
+    preferences.push(['name', () => true]);
+  }
+  for (const [selectedBy, matches] of preferences) {
+    const artifact = newest(usable.filter(matches));
+    if (artifact) {
+      return { artifact, selectedBy };
+    }
+  }
+  return null;
+}
+
+async function getDefaultBranch(settings, logger) {
+  try {
+    const res = await fetchWithRetry(`${settings.artifactsBaseUrl}/api/v1/repos/${settings.owner}/${settings.repo}`, httpOptions(settings, logger));
+    if (res.ok) {
+      return (await res.json())?.default_branch || 'master';
+    }
+  } catch (error) {
+    logger.vlog(`Could not look up the default branch of ${settings.repo}: ${error.message}`);
+  }
+  return 'master';
+}
+
+/**
+ * Finds the artifact with the previous GL quotes of the repo: the one given by `artifactId`, or the
+ * one selectArtifact() picks for the ref
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} logger - Logger from createLogger()
+ * @returns {Promise<{url: string|null, meta: object|null, listUrl: string, error?: Error}>}
+ */
+export async function findArtifact(settings, logger) {
+  const { repo, ref, artifactId, artifactName } = settings;
+  const listUrl = artifactsApi(settings);
+  try {
+    if (artifactId) {
+      const artifact = await fetchJson(`${listUrl}/${artifactId}`, settings, logger);
+      if (artifact?.expired !== false || !artifact?.archive_download_url) {
+        throw new Error(`Artifact ${artifactId} of ${repo} has expired or can't be downloaded`);
+      }
+      logger.vlog(`Artifact selected: id=${artifact.id} name="${artifact.name}" (--artifact-id)`);
+      return { url: artifact.archive_download_url, meta: artifact, listUrl };
+    }
+
+    // The newest artifacts come first, so an artifact of the ref ends the listing
+    const ofRef = (candidates) => selectArtifact(candidates, { ref, artifactName })?.selectedBy === 'ref';
+    const artifacts = await listArtifacts(settings, logger, ofRef);
+    let selected = selectArtifact(artifacts, { ref, artifactName });
+    if (selected?.selectedBy !== 'ref') {
+      // Only looked up when needed: the ref has no artifact of its own
+      const defaultBranch = await getDefaultBranch(settings, logger);
+      const mergeBase = ref === defaultBranch ? null : getMergeBase(settings.workingdir, defaultBranch);
+      selected = selectArtifact(artifacts, { ref, mergeBase, defaultBranch, artifactName });
+    }
+    logger.dlog(`Artifacts found: ${artifacts.length}`);
+    if (!selected) {
+      logger.dlog(`No artifact of ${ref} or the default branch found for prior GL quotes.`);
+      return { url: null, meta: null, listUrl };
+    }
+    const { artifact, selectedBy } = selected;
+    const created = artifact.created_at || artifact.created || '';
+    const size = artifact.size_in_bytes || artifact.size || '';
+    logger.vlog(`Artifact selected by ${selectedBy}: id=${artifact.id} name="${artifact.name}" size=${size} created=${created}`);
+    logger.dlog(`Artifact download URL: ${artifact.archive_download_url}`);
+    return { url: artifact.archive_download_url, meta: artifact, listUrl };
+  } catch (e) {
+    logger.vlog(`Artifact discovery failed for ${repo}: ${e.message}`);
+    return { url: null, meta: null, listUrl, error: e };
+  }
+}
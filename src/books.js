@@ -0,0 +1,117 @@
+/**
+ * USFM book file names of the Bible in canonical order, as used in DCS Bible repos
+ */
+const USFM_FILES = [
+  '01-GEN', '02-EXO', '03-LEV', '04-NUM', '05-DEU', '06-JOS', '07-JDG', '08-RUT',
+  '09-1SA', '10-2SA', '11-1KI', '12-2KI', '13-1CH', '14-2CH', '15-EZR', '16-NEH',
+  '17-EST', '18-JOB', '19-PSA', '20-PRO', '21-ECC', '22-SNG', '23-ISA', '24-JER',
+  '25-LAM', '26-EZK', '27-DAN', '28-HOS', '29-JOL', '30-AMO', '31-OBA', '32-JON',
+  '33-MIC', '34-NAM', '35-HAB', '36-ZEP', '37-HAG', '38-ZEC', '39-MAL', '41-MAT',
+  '42-MRK', '43-LUK', '44-JHN', '45-ACT', '46-ROM', '47-1CO', '48-2CO', '49-GAL',
+  '50-EPH', '51-PHP', '52-COL', '53-1TH', '54-2TH', '55-1TI', '56-2TI', '57-TIT',
+  '58-PHM', '59-HEB', '60-JAS', '61-1PE', '62-2PE', '63-1JN', '64-2JN', '65-3JN',
+  '66-JUD', '67-REV'
+];
+
+/**
+ * The books of the Bible in canonical order
+ * @type {{code: string, usfm: string, testament: 'old'|'new'}[]}
+ */
+export const BOOKS = USFM_FILES.map((usfm) => ({
+  code: usfm.split('-')[1],
+  usfm,
+  testament: parseInt(usfm, 10) < 40 ? 'old' : 'new',
+}));
+
+/**
+ * Looks up a book by its USFM code, case-insensitively
+ * @param {string} code - USFM book code, e.g. GEN or 1jn
+ * @returns {{code: string, usfm: string, testament: 'old'|'new'}|undefined}
+ */
+export function getBook(code) {
+  const upper = (code || '').toUpperCase();
+  return BOOKS.find((book) => book.code === upper);
+}
+
+/**
+ * The original language repo of a book: hbo_uhb for the Old Testament, el-x-koine_ugnt for the New
+ * @param {string} code - USFM book code
+ * @returns {string}
+ */
+export function getOriginalLanguageRepo(code) {
+  return getBook(code)?.testament === 'old' ? 'hbo_uhb' : 'el-x-koine_ugnt';
+}
+
+/**
+ * Parses a book selection like "MAT,ROM", "OT", "NT" or "GEN-DEU" into USFM book codes
+ * @param {string|string[]} spec - Comma separated book codes, testaments (OT, NT) and ranges (GEN-DEU)
+ * @returns {Set<string>|null} - The selected book codes, or null for an empty selection
+ */
+export function parseBookSelection(spec) {
+  const parts = (Array.isArray(spec) ? spec : [spec])
+    .flatMap((s) => String(s ?? '').split(','))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  const selected = new Set();
+  const unknown = [];
+  for (const part of parts) {
+    const upper = part.toUpperCase();
+    if (upper === 'OT' || upper === 'NT') {
+      BOOKS.filter((book) => book.testament === (upper === 'OT' ? 'old' : 'new')).forEach((book) => selected.add(book.code));
+      continue;
+    }
+    // Book codes may start with a digit (1JN), so ranges are split on the dash between two known codes
+    const range = upper.match(/^([1-3]?[A-Z]{2,3})-([1-3]?[A-Z]{2,3})$/);
+    if (range && getBook(range[1]) && getBook(range[2])) {
+      const from = BOOKS.indexOf(getBook(range[1]));
+      const to = BOOKS.indexOf(getBook(range[2]));
+      if (from > to) {
+        throw new Error(`Invalid book range ${part}: ${range[1]} comes after ${range[2]}`);
+      }
+      BOOKS.slice(from, to + 1).forEach((book) => selected.add(book.code));
+      continue;
+    }
+    if (isProjectCode(upper)) {
+      selected.add(upper);
+    } else {
+      unknown.push(part);
+    }
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown book code(s): ${unknown.join(', ')}. Use USFM book codes (e.g. GEN, 1JN), OBS, OT, NT or ranges like GEN-DEU.`);
+  }
+  return selected;
+}
+
+/**
+ * Project code of Open Bible Stories, whose references are story:frame instead of chapter:verse
+ */
+export const OBS_CODE = 'OBS';
+
+/**
+ * Whether a code is a known project: a book of the Bible or OBS
+ * @param {string} code - Project code, e.g. 1jn or OBS
+ * @returns {boolean}
+ */
+export function isProjectCode(code) {
+  return !!getBook(code) || (code || '').toUpperCase() === OBS_CODE;
+}
+
+/**
+ * Derives the book code from a TSV file name: the first `_` separated part after the prefix that is
+ * a book code or OBS, e.g. tn_1JN.tsv, tn_1JN_draft.tsv, notes/tn_OBS.tsv or 63-1JN.tsv
+ * @param {string} file - The TSV file name or path, e.g. tn_1JN.tsv
+ * @returns {string} - The lowercase book code, e.g. 1jn (the second part of the name if none is known)
+ */
+export function bookCodeFromFileName(file) {
+  const name = file.split(/[\\/]/).pop().replace(/\.tsv$/i, '');
+  const segments = name.split('_');
+  // The first part is normally the resource prefix (tn, twl, ...), so it is tried last
+  const ordered = segments.length > 1 ? [...segments.slice(1), segments[0]] : segments;
+  const known = ordered.flatMap((part) => [part, part.split('-').pop()]).find(isProjectCode);
+  return (known || segments[1] || name).toLowerCase();
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Config files looked up in the working directory, in this order. Without one, the `glQuotes` key
+ * of the working directory's package.json is used.
+ */
+export const CONFIG_FILES = ['.glquotesrc', '.glquotesrc.yaml', '.glquotesrc.yml', '.glquotesrc.json'];
+
+export const PACKAGE_JSON_KEY = 'glQuotes';
+
+// The options of processTsvFiles() a config file can set; the working directory is where it is found
+const CONFIG_OPTIONS = [
+  'glob', 'books', 'excludeBooks', 'includeUnselected', 'owner', 'repo', 'ref', 'bibleLinks', 'quoteColumn',
+  'occurrenceColumn', 'columnPosition', 'pinBibles', 'refreshOnBibleChange', 'dcsUrl', 'artifactsBaseUrl',
+  'artifactName', 'artifactId', 'backupArtifactUrl', 'useBackupArtifact', 'previous', 'regenerateAll', 'exitOnError',
+  'concurrency', 'timeout', 'retries', 'retryDelay', 'zip', 'outputZipFile', 'zipInclude', 'zipFolder', 'tsv',
+  'tsvSuffix', 'quoteCache', 'cacheDir', 'offline', 'resourceCache', 'report', 'errorsFile', 'diagnostics', 'check',
+  'dryRun', 'diff', 'quiet', 'verbose', 'debug', 'overrides',
+];
+
+// Command line argument names that differ from the option names
+const ALIASES = { bible: 'bibleLinks', dcs: 'dcsUrl', output: 'outputZipFile', rerender: 'regenerateAll', regenerate: 'regenerateAll' };
+
+// Options that are paths, resolved against the directory of the config file
+const PATH_OPTIONS = ['previous', 'outputZipFile', 'cacheDir', 'resourceCache', 'report', 'errorsFile', 'diagnostics', 'diff'];
+
+const OVERRIDE_OPTIONS = ['bibleLinks', 'exclude'];
+
+function toOptionName(key) {
+  const name = key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  return ALIASES[name] || name;
+}
+
+function normalizeKeys(object, allowed, where) {
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw new Error(`${where} must be a mapping of options`);
+  }
+  const options = {};
+  const unknown = [];
+  for (const [key, value] of Object.entries(object)) {
+    const name = toOptionName(key);
+    if (allowed.includes(name)) {
+      options[name] = value;
+    } else {
+      unknown.push(key);
+    }
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s) in ${where}: ${unknown.join(', ')}`);
+  }
+  return options;
+}
+
+function readConfigFile(file) {
+  try {
+    // YAML is a superset of JSON, so both are read the same way
+    return yaml.load(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the options of a config file: `.glquotesrc` (YAML or JSON), `.glquotesrc.yaml`, `.glquotesrc.yml`
+ * or `.glquotesrc.json` in the working directory, or else the `glQuotes` key of its package.json. Keys are
+ * the options of processTsvFiles() or the command line argument names, e.g. `bibleLinks` or `bible`,
+ * `excludeBooks` or `exclude-books`. `overrides` maps books to their own `bible` and `exclude`. A `token` is
+ * rejected, see the DCS_TOKEN environment variable.
+ * @param {string} workingdir - Directory to look for the config file in
+ * @param {string|false} [configPath] - Path of the config file to read instead, or false to read none
+ * @returns {{file: string, options: object}|null} - The config, or null if there is none
+ */
+export function loadConfig(workingdir, configPath) {
+  if (configPath === false) {
+    return null;
+  }
+
+  let file;
+  let raw;
+  if (configPath) {
+    file = path.resolve(workingdir, configPath);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Config file not found: ${file}`);
+    }
+    raw = readConfigFile(file);
+  } else {
+    file = CONFIG_FILES.map((name) => path.join(workingdir, name)).find((candidate) => fs.existsSync(candidate));
+    if (file) {
+      raw = readConfigFile(file);
+    } else {
+      const packageJson = path.join(workingdir, 'package.json');
+      if (!fs.existsSync(packageJson)) {
+        return null;
+      }
+      raw = readConfigFile(packageJson)?.[PACKAGE_JSON_KEY];
+      if (raw === undefined) {
+        return null;
+      }
+      file = packageJson;
+    }
+  }
+
+  // Config files are committed to the repo, so a token there would leak
+  if (raw && typeof raw === 'object' && Object.keys(raw).some((key) => toOptionName(key) === 'token')) {
+    throw new Error(`A DCS token is not allowed in ${file}; set the DCS_TOKEN environment variable or pass --token`);
+  }
+  const options = normalizeKeys(raw ?? {}, CONFIG_OPTIONS, file);
+  const dir = path.dirname(file);
+  for (const name of PATH_OPTIONS) {
+    if (typeof options[name] === 'string' && options[name] && !/^https?:\/\//i.test(options[name])) {
+      options[name] = path.resolve(dir, options[name]);
+    }
+  }
+  if (options.overrides !== undefined) {
+    options.overrides = Object.fromEntries(Object.entries(options.overrides ?? {}).map(([books, override]) => [
+      books,
+      normalizeKeys(override, OVERRIDE_OPTIONS, `${file} overrides of ${books}`),
+    ]));
+  }
+  return { file, options };
+}
+
+/**
+ * Merges the options of a config file under the given options: an option that is given (not
+ * undefined) wins over the config file
+ * @param {object} options - The given options, e.g. from the command line
+ * @param {{file: string, options: object}|null} config - Config from loadConfig()
+ * @returns {object}
+ */
+export function mergeConfig(options, config) {
+  if (!config) {
+    return options;
+  }
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return { ...config.options, ...given };
+}
@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_GL_COLUMNS, getIndexBundle, isDataRow, readTsv, rowNeedsGLQuote } from './tsv.js';
+
+/**
+ * Reasons a row can end up without a GL quote, in the order they are checked
+ */
+export const DIAGNOSTIC_REASONS = {
+  VERSE_MISSING: 'verse-missing', // the verse is not in the original language text or the target Bible
+  WORDS_NOT_FOUND: 'words-not-found', // some words of the quote are not in the original language verse
+  OCCURRENCE_OUT_OF_RANGE: 'occurrence-out-of-range', // the quote occurs fewer times in the verse than its Occurrence
+  ALIGNMENT_GAP: 'alignment-gap', // the words are there, but some are not aligned in the target Bible
+  UNKNOWN: 'unknown', // none of the above, or the Bible texts could not be loaded
+};
+
+// Invisible characters that differ between the TSV quotes and the USFM texts
+const INVISIBLE = /[\u200B-\u200D\u2060\uFEFF]/g;
+const EDGE_PUNCTUATION = /^[\s.,;:!?·\u037E“”‘"()[\]{}«»—–-]+|[\s.,;:!?·\u037E“”‘"()[\]{}«»—–-]+$/g;
+
+function normalizeWord(word) {
+  return word.normalize('NFC').replace(INVISIBLE, '').replace(EDGE_PUNCTUATION, '');
+}
+
+/**
+ * Splits a quote into its parts (separated by & or …) and their words
+ * @param {string} quote - The Quote of a TSV row
+ * @returns {string[][]}
+ */
+function quoteParts(quote) {
+  return quote
+    .replace('QUOTE_NOT_FOUND: ', '')
+    .split(/\s*[&…]\s*/)
+    .map((part) => part.split(/[\s\u05BE]+/).map(normalizeWord).filter(Boolean))
+    .filter((words) => words.length > 0);
+}
+
+/**
+ * Parses the verses of a USFM text: the words of each verse, and the original words aligned in it
+ * @param {string} usfm - The USFM text
+ * @returns {Map<string, {words: string[], aligned: Set<string>}>} - Keyed by `chapter:verse`
+ */
+export function parseUsfmVerses(usfm) {
+  const verses = new Map();
+  let chapter = null;
+  let current = [];
+  for (const token of (usfm || '').split(/(?=\\[cv]\s)/)) {
+    const marker = token.match(/^\\([cv])\s+(\d+)(?:-(\d+))?/);
+    if (marker?.[1] === 'c') {
+      chapter = marker[2];
+      current = [];
+    } else if (marker?.[1] === 'v' && chapter) {
+      // A verse bridge like \v 1-2 holds the text of all its verses
+      const entry = { words: [], aligned: new Set() };
+      current = [entry];
+      for (let v = parseInt(marker[2], 10); v <= parseInt(marker[3] || marker[2], 10); v++) {
+        verses.set(`${chapter}:${v}`, entry);
+      }
+    }
+    for (const entry of current) {
+      for (const [, word] of token.matchAll(/\\w\s+([^|\\]*?)\s*(?:\|[^\\]*)?\\w\*/g)) {
+        entry.words.push(normalizeWord(word));
+      }
+      for (const [, content] of token.matchAll(/\\zaln-s\s[^\\]*?x-content="([^"]*)"/g)) {
+        entry.aligned.add(normalizeWord(content));
+      }
+    }
+  }
+  return verses;
+}
+
+/**
+ * Expands a TSV Reference like 1:2, 1:2-4, 1:2,5 or 1:30-2:3 into `chapter:verse` keys
+ * @param {string} reference - The Reference of a TSV row
+ * @returns {string[]|null} - The verse keys, or null if the reference is not to verses (e.g. 1:intro)
+ */
+function expandReference(reference) {
+  const keys = [];
+  let chapter = null;
+  for (const part of (reference || '').split(/[,;]\s*/)) {
+    const range = part.match(/^(?:(\d+):)?(\d+)(?:-(?:(\d+):)?(\d+))?$/);
+    if (!range) {
+      return null;
+    }
+    chapter = range[1] || chapter;
+    if (!chapter) {
+      return null;
+    }
+    const endChapter = range[3] || chapter;
+    const from = parseInt(range[2], 10);
+    const to = range[4] ? parseInt(range[4], 10) : from;
+    if (endChapter !== chapter) {
+      // Cross-chapter ranges: the verse numbers of the first chapter are not known, so take the start and end verses
+      keys.push(`${chapter}:${from}`, `${endChapter}:${to}`);
+      chapter = endChapter;
+    } else {
+      for (let v = from; v <= to; v++) keys.push(`${chapter}:${v}`);
+    }
+  }
+  return keys;
+}
+
+function countSequence(words, sequence) {
+  let count = 0;
+  for (let i = 0; i + sequence.length <= words.length; i++) {
+    if (sequence.every((word, j) => words[i + j] === word)) count++;
+  }
+  return count;
+}
+
+/**
+ * Works out why a row has no GL quote
+ * @param {{reference: string, quote: string, occurrence: string}} row - The row
+ * @param {{original: Map, target: Map}} texts - Verses from parseUsfmVerses()
+ * @returns {{reason: string, detail: string}}
+ */
+export function diagnoseRow({ reference, quote, occurrence }, texts) {
+  const keys = expandReference(reference);
+  if (!keys) {
+    return { reason: DIAGNOSTIC_REASONS.VERSE_MISSING, detail: `${reference} is not a verse reference` };
+  }
+  const missingOriginal = keys.filter((key) => !texts.original.has(key));
+  if (missingOriginal.length > 0) {
+    return { reason: DIAGNOSTIC_REASONS.VERSE_MISSING, detail: `${missingOriginal.join(', ')} not found in the original language text` };
+  }
+  const missingTarget = keys.filter((key) => !texts.target.has(key));
+  if (missingTarget.length > 0) {
+    return { reason: DIAGNOSTIC_REASONS.VERSE_MISSING, detail: `${missingTarget.join(', ')} not found in the target Bible` };
+  }
+
+  const originalWords = [...new Set(keys.map((key) => texts.original.get(key)))].flatMap((verse) => verse.words);
+  const parts = quoteParts(quote);
+  const notFound = parts.flat().filter((word) => !originalWords.includes(word));
+  if (notFound.length > 0) {
+    return { reason: DIAGNOSTIC_REASONS.WORDS_NOT_FOUND, detail: `Not in ${reference}: ${notFound.join(' ')}` };
+  }
+
+  const occ = parseInt(occurrence, 10);
+  if (occ > 0 && parts.length > 0) {
+    const found = countSequence(originalWords, parts[0]);
+    if (found < occ) {
+      return {
+        reason: DIAGNOSTIC_REASONS.OCCURRENCE_OUT_OF_RANGE,
+        detail: `Occurrence ${occ} but "${parts[0].join(' ')}" occurs ${found} time(s) in ${reference}`,
+      };
+    }
+  }
+
+  const aligned = new Set([...new Set(keys.map((key) => texts.target.get(key)))].flatMap((verse) => [...verse.aligned]));
+  const unaligned = parts.flat().filter((word) => !aligned.has(word));
+  if (unaligned.length > 0) {
+    return { reason: DIAGNOSTIC_REASONS.ALIGNMENT_GAP, detail: `Not aligned in the target Bible: ${unaligned.join(' ')}` };
+  }
+  return { reason: DIAGNOSTIC_REASONS.UNKNOWN, detail: '' };
+}
+
+/**
+ * Lists the rows of a TSV that still have no GL quote, with the reason why
+ * @param {string} tsvContent - TSV content after generation
+ * @param {object} options
+ * @param {string} options.file - The TSV file name
+ * @param {string} options.bookCode - USFM book code
+ * @param {{original: string, target: string}|null} options.usfm - The book's USFM texts from fetchBookUsfm(), null if not available
+ * @param {string} [options.unavailable] - Why the USFM texts are not available
+ * @param {string[]} [options.converterErrors] - Errors tsv-quote-converters reported for the book
+ * @param {object} [options.columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @param {string} [options.bible] - Label of the Bible, when GL quotes are generated for several
+ * @returns {object[]} - One entry per unresolved row
+ */
+export function diagnoseTsv(tsvContent, { file, bookCode, usfm, unavailable, converterErrors = [], columns = DEFAULT_GL_COLUMNS, bible }) {
+  const { rows } = readTsv(tsvContent);
+  const idx = getIndexBundle(rows[0], columns);
+  const texts = usfm ? { original: parseUsfmVerses(usfm.original), target: parseUsfmVerses(usfm.target) } : null;
+  const diagnostics = [];
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!isDataRow(row) || !rowNeedsGLQuote(row, idx)) continue;
+    const entry = {
+      file,
+      bookCode: bookCode.toUpperCase(),
+      ...(bible ? { bible } : {}),
+      line: i + 1,
+      reference: row[idx.ref] ?? '',
+      id: row[idx.id] ?? '',
+      quote: (row[idx.quote] ?? '').replace('QUOTE_NOT_FOUND: ', ''),
+      occurrence: row[idx.occ] ?? '',
+    };
+    const { reason, detail } = texts
+      ? diagnoseRow(entry, texts)
+      : { reason: DIAGNOSTIC_REASONS.UNKNOWN, detail: `Bible texts not available: ${unavailable || 'not loaded'}` };
+    const converterError = entry.id ? converterErrors.find((error) => error.includes(` -- ${entry.id} -- `)) : null;
+    diagnostics.push({ ...entry, reason, detail, converterError: converterError || null });
+  }
+  return diagnostics;
+}
+
+const TSV_COLUMNS = [
+  ['File', 'file'], ['Book', 'bookCode'], ['Line', 'line'], ['Reference', 'reference'], ['ID', 'id'],
+  ['Quote', 'quote'], ['Occurrence', 'occurrence'], ['Reason', 'reason'], ['Detail', 'detail'], ['ConverterError', 'converterError'],
+];
+
+/**
+ * Writes the diagnostics of a run as JSON if the path ends with .json, otherwise as TSV
+ * @param {object[]} diagnostics - Entries from diagnoseTsv()
+ * @param {string} filePath - Output path
+ * @param {object} [logger] - Logger from createLogger()
+ * @returns {string} - The path written to
+ */
+export function writeDiagnostics(diagnostics, filePath, logger) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let content;
+  if (filePath.toLowerCase().endsWith('.json')) {
+    content = JSON.stringify({ generatedAt: new Date().toISOString(), rows: diagnostics }, null, 2);
+  } else {
+    const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+    // The Bible column is only there when GL quotes were generated for labeled Bibles
+    const columns = diagnostics.some((entry) => entry.bible)
+      ? [...TSV_COLUMNS.slice(0, 2), ['Bible', 'bible'], ...TSV_COLUMNS.slice(2)]
+      : TSV_COLUMNS;
+    content = [
+      columns.map(([header]) => header).join('\t'),
+      ...diagnostics.map((entry) => columns.map(([, key]) => clean(entry[key])).join('\t')),
+    ].join('\n') + '\n';
+  }
+  fs.writeFileSync(filePath, content, 'utf8');
+  logger?.log(`Written diagnostics for ${diagnostics.length} unresolved row(s): ${filePath}`);
+  return filePath;
+}
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_GL_COLUMNS } from './tsv.js';
+
+function formatValues(values, columns = DEFAULT_GL_COLUMNS) {
+  return values ? `${columns.glQuote}: ${values.glq}\t${columns.glOccurrence}: ${values.glo}` : '(none)';
+}
+
+/**
+ * Formats the GLQuote/GLOccurrence changes of a run as a diff, one hunk per row (headed by its
+ * Reference and ID) and GL quote columns, followed by the number of changed rows per book and in total
+ * @param {{file: string, diff: object[]}[]} results - Per-file results with the changes from diffGLQuotes()
+ * @returns {string}
+ */
+export function formatGLQuoteDiff(results) {
+  const lines = [];
+  let total = 0;
+  let books = 0;
+  for (const { file, diff } of results) {
+    if (!diff?.length) continue;
+    books++;
+    total += diff.length;
+    lines.push(`--- a/${file}`, `+++ b/${file}`);
+    for (const change of diff) {
+      lines.push(`@@ ${change.reference} ${change.id} @@ ${change.quote} (${change.occurrence})`);
+      if (change.before) {
+        lines.push(`-${formatValues(change.before, change.columns)}`);
+      }
+      lines.push(`+${formatValues(change.after, change.columns)}`);
+    }
+  }
+  lines.push('');
+  for (const { file, diff } of results) {
+    lines.push(`${file}: ${diff?.length || 0} changed row(s)`);
+  }
+  lines.push(`Changed rows: ${total} in ${books} of ${results.length} book(s)`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Prints the diff of a run, or writes it to a file
+ * @param {object[]} results - Per-file results
+ * @param {string|true} target - File path, or true to print it
+ * @param {object} logger - Logger from createLogger()
+ * @returns {string} - The diff
+ */
+export function outputGLQuoteDiff(results, target, logger) {
+  const diff = formatGLQuoteDiff(results);
+  if (target === true) {
+    logger.log(diff.trimEnd());
+  } else {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, diff, 'utf8');
+    logger.log(`Written diff: ${target}`);
+  }
+  return diff;
+}
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Codes of the errors and warnings of a run. NETWORK problems are transient and worth a retry; the
+ * others are problems of the content or the resources.
+ */
+export const ERROR_CODES = Object.freeze({
+  NETWORK: 'NETWORK',
+  BIBLE_BOOK_MISSING: 'BIBLE_BOOK_MISSING',
+  TSV_MALFORMED: 'TSV_MALFORMED',
+  ARTIFACT_INVALID: 'ARTIFACT_INVALID',
+  GENERATION_FAILED: 'GENERATION_FAILED',
+});
+
+const NETWORK_ERRORS = /network error|fetch failed|socket hang up|timed? ?out|\b(ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|EPIPE|UND_ERR_\w+)\b|\b(429|5\d\d)\b/i;
+const MISSING_BOOK_ERRORS = /\.usfm\b.*\b(404|not found)\b|not found in resource cache|status code 404|unknown book code/i;
+const MALFORMED_TSV_ERRORS = /invalid (partial )?tsv content|'occurrence' column/i;
+
+/**
+ * Tells what kind of problem an error is, from its message and cause
+ * @param {Error|string} error - The error or its message
+ * @param {string} [fallback] - Code of errors that are none of the known kinds (default: GENERATION_FAILED)
+ * @returns {string} - One of ERROR_CODES
+ */
+export function classifyError(error, fallback = ERROR_CODES.GENERATION_FAILED) {
+  const message = typeof error === 'string' ? error : `${error?.message ?? ''} ${error?.cause?.code ?? ''}`;
+  if (MISSING_BOOK_ERRORS.test(message)) {
+    return ERROR_CODES.BIBLE_BOOK_MISSING;
+  }
+  if (NETWORK_ERRORS.test(message)) {
+    return ERROR_CODES.NETWORK;
+  }
+  if (MALFORMED_TSV_ERRORS.test(message)) {
+    return ERROR_CODES.TSV_MALFORMED;
+  }
+  return fallback;
+}
+
+/**
+ * The row an error of tsv-quote-converters is about, e.g. for
+ * `Error: line #12 -- 1JN 1:1 -- abc1 -- Unable to find QUOTE`
+ * @param {string} converterError - The error message
+ * @returns {{reference: string, id: string}|null}
+ */
+export function parseConverterError(converterError) {
+  const match = String(converterError).match(/ -- \S+ (\S+) -- (\S*) -- /);
+  return match ? { reference: match[1], id: match[2] } : null;
+}
+
+/**
+ * Writes the errors and warnings of a run to a JSON file
+ * @param {{code: string, file: string, error: string}[]} errors - The errors to write
+ * @param {string|null} errorsFile - Path to write to; a directory gets an errors.json file, null writes nothing
+ * @param {object} logger - Logger from createLogger()
+ * @param {{code: string, file: string, warning: string}[]} [warnings] - The warnings to write
+ * @param {object} [options]
+ * @param {boolean} [options.always] - Write the file even if there are no errors, e.g. for an explicit --errors-file
+ * @returns {string|null} - The path written to, or null if nothing was written
+ */
+export function writeErrorsToFile(errors, errorsFile, logger, warnings = [], { always = false } = {}) {
+  if (!errorsFile || (!always && !errors?.length)) {
+    return null;
+  }
+
+  try {
+    const errorData = {
+      timestamp: new Date().toISOString(),
+      errors: (errors || []).map((error) => ({ code: error.code || classifyError(error.error), ...error })),
+      warnings,
+    };
+
+    const errorFilePath = fs.existsSync(errorsFile) && fs.statSync(errorsFile).isDirectory()
+      ? path.join(errorsFile, 'errors.json')
+      : errorsFile;
+
+    // Ensure the directory exists
+    const errorDir = path.dirname(errorFilePath);
+    if (!fs.existsSync(errorDir)) {
+      fs.mkdirSync(errorDir, { recursive: true });
+    }
+
+    fs.writeFileSync(errorFilePath, JSON.stringify(errorData, null, 2), 'utf8');
+    logger.log(`Errors written to ${errorFilePath}`);
+    return errorFilePath;
+  } catch (error) {
+    logger.error('Failed to write errors to file:', error.message);
+    return null;
+  }
+}
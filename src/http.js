@@ -0,0 +1,128 @@
+import { EnvHttpProxyAgent, fetch as proxyFetch } from 'undici';
+import { ERROR_CODES, classifyError } from './errors.js';
+
+/**
+ * Defaults of the HTTP requests of a run: seconds to wait for a response, retries of requests that
+ * failed for a transient reason, and the delay before the first retry, doubled for each next one
+ */
+export const DEFAULT_HTTP_OPTIONS = Object.freeze({ timeout: 30, retries: 3, retryDelay: 1000 });
+
+// Statuses worth retrying: request timeout, too many requests and server errors
+const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+// Longest Retry-After to honor, so a misbehaving server can't stall a run
+const MAX_RETRY_AFTER = 120000;
+
+const PROXY_VARIABLES = ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy'];
+// Servers on this machine are never reached through the proxy
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1'];
+let proxyAgent = null;
+
+function getProxyAgent() {
+  if (!PROXY_VARIABLES.some((name) => process.env[name])) {
+    return null;
+  }
+  // EnvHttpProxyAgent reads HTTP_PROXY and HTTPS_PROXY itself; Node's own fetch ignores them
+  const noProxy = process.env.no_proxy ?? process.env.NO_PROXY ?? '';
+  proxyAgent ||= new EnvHttpProxyAgent({ noProxy: [noProxy, ...LOOPBACK_HOSTS].filter(Boolean).join(',') });
+  return proxyAgent;
+}
+
+// Responses without a body, which the Response constructor rejects one for
+const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
+
+/**
+ * Milliseconds to wait before retrying, from a Retry-After header in seconds or as an HTTP date
+ * @param {string|null} header - The Retry-After header
+ * @returns {number|null} - null if there is no usable header
+ */
+export function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+  const delay = /^\d+$/.test(header.trim()) ? Number(header) * 1000 : Date.parse(header) - Date.now();
+  return Number.isNaN(delay) ? null : Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * The HTTP options of a run, for fetchWithRetry(). The token, if any, is only sent to DCS and the
+ * artifacts API.
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} [logger] - Logger from createLogger(), for the retries
+ * @returns {{timeout: number, retries: number, retryDelay: number, token: string|null, authOrigins: string[], logger: object}}
+ */
+export function httpOptions(settings, logger) {
+  const authOrigins = [settings.dcsUrl, settings.artifactsBaseUrl]
+    .filter(Boolean)
+    .map((url) => new URL(url).origin);
+  // The token is not enumerable, see resolveSettings(), so it is read explicitly
+  return { ...DEFAULT_HTTP_OPTIONS, ...settings.http, token: settings.http?.token || null, authOrigins, logger };
+}
+
+// Gitea and DCS take access tokens as `Authorization: token {token}`
+function withAuthorization(url, headers, token, authOrigins) {
+  if (!token || (authOrigins && !authOrigins.includes(new URL(url).origin))) {
+    return headers;
+  }
+  const authorized = new Headers(headers);
+  authorized.set('Authorization', `token ${token}`);
+  return authorized;
+}
+
+/**
+ * fetch() with a timeout, retries with exponential backoff for network errors, timeouts, 429 and
+ * 5xx responses, respecting Retry-After, and the proxy of the HTTP_PROXY/HTTPS_PROXY/NO_PROXY
+ * environment variables. Other responses, 404 included, are returned as they are, with the body read.
+ * @param {string} url - URL to fetch
+ * @param {object} [options] - fetch() options, and:
+ * @param {number} [options.timeout] - Seconds to wait for the response, body included; 0 waits forever (default: 30)
+ * @param {number} [options.retries] - Number of retries (default: 3)
+ * @param {number} [options.retryDelay] - Milliseconds before the first retry (default: 1000)
+ * @param {string} [options.token] - Access token for DCS, sent as Authorization header
+ * @param {string[]} [options.authOrigins] - Origins to send the token to (default: any)
+ * @param {object} [options.logger] - Logger from createLogger()
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, options = {}) {
+  const { timeout, retries, retryDelay, token, authOrigins, logger, ...init } = { ...DEFAULT_HTTP_OPTIONS, ...options };
+  init.headers = withAuthorization(url, init.headers, token, authOrigins);
+  const dispatcher = getProxyAgent();
+
+  for (let attempt = 0; ; attempt++) {
+    const backoff = retryDelay * 2 ** attempt;
+    const controller = new AbortController();
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout * 1000) : null;
+    let retryIn;
+    let reason;
+    try {
+      const response = dispatcher
+        ? await proxyFetch(url, { ...init, dispatcher, signal: controller.signal })
+        : await fetch(url, { ...init, signal: controller.signal });
+      if (!RETRY_STATUSES.has(response.status) || attempt >= retries) {
+        // The body is read before the timer is cleared, so a stalled download times out and is retried too
+        const body = await response.arrayBuffer();
+        return new Response(NULL_BODY_STATUSES.has(response.status) ? null : body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+        });
+      }
+      await response.arrayBuffer().catch(() => {});
+      retryIn = parseRetryAfter(response.headers.get('retry-after')) ?? backoff;
+      reason = `${response.status} ${response.statusText}`;
+    } catch (error) {
+      const failure = controller.signal.aborted
+        ? new Error(`Timed out after ${timeout}s fetching ${url}`, { cause: error })
+        : error;
+      // Invalid URLs and the like won't get better by retrying
+      if (attempt >= retries || classifyError(failure) !== ERROR_CODES.NETWORK) {
+        throw failure;
+      }
+      retryIn = backoff;
+      reason = failure.cause?.code || failure.message;
+    } finally {
+      clearTimeout(timer);
+    }
+    logger?.log(`Retrying ${url} in ${Math.round(retryIn / 100) / 10}s (${attempt + 1}/${retries}): ${reason}`);
+    await new Promise((resolve) => setTimeout(resolve, retryIn));
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Creates the logger used by the pipeline.
+ * - log: regular info lines (suppressed by quiet, unless verbose)
+ * - vlog: verbose/debug detail lines
+ * - dlog: debug lines (artifact discovery, per-book cache vs generation counts)
+ * @param {{quiet?: boolean, verbose?: boolean, debug?: boolean}} options
+ * @returns {object} - The logger
+ */
+export function createLogger({ quiet = false, verbose = false, debug = false } = {}) {
+  return {
+    quiet,
+    verbose,
+    debug,
+    log: (...args) => {
+      if (!quiet || verbose) console.log(...args);
+    },
+    vlog: (...args) => {
+      if (verbose || debug) console.log(...args);
+    },
+    dlog: (...args) => {
+      if (debug && !quiet) console.log(...args);
+    },
+    error: (...args) => console.error(...args),
+  };
+}
+
+/**
+ * Wraps a logger so its lines are held back until flush(), e.g. to keep the output of a book
+ * together while several books are processed at once
+ * @param {object} logger - Logger from createLogger()
+ * @returns {object} - The buffered logger, with a flush() method
+ */
+export function createBufferedLogger(logger) {
+  const lines = [];
+  const buffered = { ...logger };
+  for (const method of ['log', 'vlog', 'dlog', 'error']) {
+    buffered[method] = (...args) => lines.push([method, args]);
+  }
+  buffered.flush = () => {
+    for (const [method, args] of lines.splice(0)) {
+      logger[method](...args);
+    }
+  };
+  return buffered;
+}
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fetchWithRetry } from './http.js';
+
+/**
+ * Reads the projects of the manifest.yaml
+ * @param {string} workingdir - Directory containing manifest.yaml
+ * @returns {{identifier: string, path: string}[]} - The projects, empty if there is no manifest
+ */
+export function getManifestProjects(workingdir) {
+  const manifestPath = path.join(workingdir, 'manifest.yaml');
+  if (!fs.existsSync(manifestPath)) {
+    return [];
+  }
+  const manifest = yaml.load(fs.readFileSync(manifestPath, 'utf8'));
+  return Array.isArray(manifest?.projects) ? manifest.projects.filter(Boolean) : [];
+}
+
+// Top-level key of manifest.yaml recording how the GL quotes were generated
+const GL_QUOTES_KEY = 'gl_quotes';
+
+/**
+ * Records the GL quote generation in a manifest.yaml under its `gl_quotes` key, replacing an earlier
+ * record. The rest of the manifest is kept as it is, comments and formatting included.
+ * @param {string} manifestText - The manifest.yaml content
+ * @param {object} generation - What to record, e.g. the tool version and the Bibles used
+ * @returns {string} - The new manifest.yaml content
+ */
+export function recordGLQuotesInManifest(manifestText, generation) {
+  const eol = manifestText.includes('\r\n') ? '\r\n' : '\n';
+  const lines = manifestText.split(/\r?\n/);
+  const start = lines.findIndex((line) => line.startsWith(`${GL_QUOTES_KEY}:`));
+  if (start !== -1) {
+    // The record runs up to the next top-level key
+    let end = start + 1;
+    while (end < lines.length && !/^[^\s#]/.test(lines[end])) end++;
+    lines.splice(start, end - start);
+  }
+  while (lines.length > 0 && lines.at(-1) === '') lines.pop();
+  const record = yaml.dump({ [GL_QUOTES_KEY]: generation }, { lineWidth: -1 }).trimEnd().split('\n');
+  return [...lines, ...record, ''].join(eol);
+}
+
+/**
+ * Relation identifiers of aligned Bibles, in the order they are preferred for GL quotes
+ */
+export const BIBLE_RELATION_IDS = ['glt', 'gst', 'ult', 'ust'];
+
+// Relations that are certainly no Bible to take GL quotes from
+const NON_BIBLE_RELATION_IDS = ['ugnt', 'uhb', 'ta', 'tn', 'twl', 'tw', 'obs', 'obs-tn', 'obs-twl', 'obs-tn-tsv', 'obs-tq', 'obs-sn', 'obs-sq', 'sn', 'sq', 'tq'];
+
+// Owner of the Bibles other organizations' resources commonly relate to
+const FALLBACK_OWNER = 'unfoldingWord';
+
+/**
+ * Parses a manifest.yaml relation like `en/ult?v=84`
+ * @param {string} relation - The relation
+ * @returns {{relation: string, language: string, id: string, version: string|null}|null} - null if it is not a relation
+ */
+export function parseRelation(relation) {
+  const match = String(relation ?? '').trim().match(/^([a-z]{2,3}(?:-[\w]+)*)\/([\w-]+)(?:\?v=([\w.-]+))?$/i);
+  if (!match) {
+    return null;
+  }
+  return { relation: match[0], language: match[1], id: match[2].toLowerCase(), version: match[3] || null };
+}
+
+/**
+ * Lists the Bibles the manifest.yaml relations point at, most preferred first: Bibles in the language of
+ * the resource before others, then glt, gst, ult and ust, then any other relation that may be a Bible.
+ * Each relation is looked for in the repository owner's organization, then in unfoldingWord's.
+ * @param {string} workingdir - Directory containing manifest.yaml
+ * @param {string} owner - Owner of the resource repository
+ * @returns {{relations: string[], candidates: {relation: string, bibleLink: string}[]}|null} - null if there is no manifest
+ *   or it has no relations
+ */
+export function getBibleCandidates(workingdir, owner) {
+  const manifestPath = path.join(workingdir, 'manifest.yaml');
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  const manifest = yaml.load(fs.readFileSync(manifestPath, 'utf8'));
+  const relation = manifest?.dublin_core?.relation;
+  const relations = (Array.isArray(relation) ? relation : [relation]).filter((r) => typeof r === 'string' && r.trim());
+  if (relations.length === 0) {
+    return null;
+  }
+  const language = manifest.dublin_core.language?.identifier;
+
+  const rank = ({ language: lang, id }) => [
+    lang === language ? 0 : 1,
+    BIBLE_RELATION_IDS.includes(id) ? BIBLE_RELATION_IDS.indexOf(id) : BIBLE_RELATION_IDS.length,
+  ];
+  const bibles = relations
+    .map(parseRelation)
+    .filter((parsed) => parsed && !NON_BIBLE_RELATION_IDS.includes(parsed.id))
+    .map((parsed, index) => ({ ...parsed, index }))
+    .sort((a, b) => {
+      const [ra, rb] = [rank(a), rank(b)];
+      return ra[0] - rb[0] || ra[1] - rb[1] || a.index - b.index;
+    });
+
+  const candidates = [];
+  for (const bible of bibles) {
+    const repoRef = `${bible.language}_${bible.id}/${bible.version ? `v${bible.version}` : 'master'}`;
+    for (const candidateOwner of new Set([owner, FALLBACK_OWNER])) {
+      candidates.push({ relation: bible.relation, bibleLink: `${candidateOwner}/${repoRef}` });
+    }
+  }
+  return { relations, candidates };
+}
+
+/**
+ * Picks the Bible to use for GL quotes from the manifest.yaml relations, without checking it exists;
+ * see getBibleCandidates() and selectManifestBible()
+ * @param {string} workingdir - Directory containing manifest.yaml
+ * @param {string} owner - Owner of the resource repository
+ * @param {object} [logger] - Logger from createLogger()
+ * @returns {string|null} - Bible link, e.g. unfoldingWord/en_ult/master, or null if there is no manifest or it has no relations
+ */
+export function getTargetBibleLink(workingdir, owner, logger) {
+  const found = getBibleCandidates(workingdir, owner);
+  if (!found) {
+    return null;
+  }
+  if (found.candidates.length === 0) {
+    throw new Error(`The relations of manifest.yaml list no Bible to use for GL quotes (${BIBLE_RELATION_IDS.join(', ')}): ${found.relations.join(', ')}. Use --bible to choose one.`);
+  }
+  const { bibleLink } = found.candidates[0];
+  logger?.log('Using Bible Link:', bibleLink);
+  return bibleLink;
+}
+
+async function checkBibleRepo(dcsUrl, bibleLink, http) {
+  const [owner, repo] = bibleLink.split('/');
+  const res = await fetchWithRetry(`${dcsUrl}/api/v1/repos/${owner}/${repo}`, http);
+  if (res.status === 404) {
+    return 'not found';
+  }
+  if (!res.ok) {
+    throw new Error(`Failed to fetch repo ${owner}/${repo}: ${res.status} ${res.statusText}`);
+  }
+  // DCS gives the subject of repos it knows the resource type of; others are given the benefit of the doubt
+  const { subject } = await res.json();
+  return !subject || subject === 'Aligned Bible' ? null : `is a ${subject} repo, not an Aligned Bible`;
+}
+
+/**
+ * Picks the first Bible of the manifest.yaml relations that exists on DCS and is an aligned Bible
+ * @param {string} dcsUrl - DCS URL
+ * @param {{relation: string, bibleLink: string}[]} candidates - Candidates from getBibleCandidates()
+ * @param {object} logger - Logger from createLogger()
+ * @param {object} [http] - Options of fetchWithRetry(), from httpOptions()
+ * @returns {Promise<string>} - The Bible link
+ */
+export async function selectManifestBible(dcsUrl, candidates, logger, http) {
+  const rejected = [];
+  for (const { relation, bibleLink } of candidates) {
+    let problem;
+    try {
+      problem = await checkBibleRepo(dcsUrl, bibleLink, http);
+    } catch (error) {
+      // Without DCS the Bible can't be checked; generating will report the real problem
+      logger.error(`Could not check the Bible ${bibleLink} of manifest.yaml: ${error.message}`);
+      return candidates[0].bibleLink;
+    }
+    if (!problem) {
+      return bibleLink;
+    }
+    logger.vlog(`Not using ${bibleLink} (relation ${relation}): ${problem}`);
+    rejected.push(`  ${bibleLink} (relation ${relation}): ${problem}`);
+  }
+  throw new Error(`None of the Bibles of the manifest.yaml relations can be used for GL quotes:\n${rejected.join('\n')}\nUse --bible to choose one.`);
+}
@@ -0,0 +1,489 @@
+import JSZip from 'jszip';
+import fs from 'fs';
+import path from 'path';
+import { ERROR_CODES, classifyError } from './errors.js';
+import { authHint, findArtifact } from './artifacts.js';
+import { fetchWithRetry, httpOptions } from './http.js';
+import { DEFAULT_GL_COLUMNS, addEmptyGLQuoteColumns, countMissingGLQuotes, getIndexBundle, isDataRow, makeRowKey, readTsv, rowNeedsGLQuote, writeTsv } from './tsv.js';
+
+/**
+ * Creates the cache of the previous GL quotes artifact, shared by all books of a run so
+ * the artifact is only discovered and downloaded once
+ * @returns {object} - The cache
+ */
+export function createPreviousGLQuotesCache() {
+  return {
+    zipUrl: null,
+    artifactMeta: null,
+    zip: null,
+    zipPromise: null,
+    urlPromise: null,
+    backupUrlFailed: false, // Track if backup URL has failed
+    sourcesPromise: null, // The previous GL quotes' sources file, see getPreviousSources()
+    warnings: [] // Problems with the previous GL quotes, see addPreviousWarning()
+  };
+}
+
+/**
+ * Records a problem with the previous GL quotes as a warning of the run, once; a run goes on without them
+ * @param {object} cache - Cache from createPreviousGLQuotesCache()
+ * @param {string} source - The previous GL quotes source or URL
+ * @param {Error|string} error - The problem
+ */
+export function addPreviousWarning(cache, source, error) {
+  const warning = typeof error === 'string' ? error : error.message;
+  if (!cache.warnings.some((existing) => existing.file === source && existing.warning === warning)) {
+    cache.warnings.push({ code: classifyError(error, ERROR_CODES.ARTIFACT_INVALID), file: source, warning });
+  }
+}
+
+/**
+ * Whether a previous GL quotes source is a URL rather than a local path
+ * @param {string} source - The --previous value
+ * @returns {boolean}
+ */
+export function isUrl(source) {
+  return /^https?:\/\//i.test(source || '');
+}
+
+/**
+ * Finds a TSV file in a previous GL quotes zip, at its root or nested in a folder like DCS release zips.
+ * Files in subfolders of the working directory are also looked up by their base name.
+ * @param {JSZip} zip - The loaded zip
+ * @param {string} fileName - The TSV file path, relative to the working directory
+ * @returns {object|null} - The JSZip file entry
+ */
+function findFileInZip(zip, fileName) {
+  for (const name of new Set([fileName, path.posix.basename(fileName)])) {
+    if (zip.files[name] && !zip.files[name].dir) {
+      return zip.files[name];
+    }
+    const nested = Object.keys(zip.files).find((entry) => entry.endsWith(`/${name}`) && !zip.files[entry].dir);
+    if (nested) {
+      return zip.files[nested];
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads previous GL quotes from a local zip file or directory of previously generated TSV files
+ * @returns {Promise<string|null>} - The content of the TSV file or null if not found
+ */
+async function getLocalPreviousGLQuotes(fileName, source, cache, logger) {
+  if (!fs.existsSync(source)) {
+    logger.error(`Previous GL quotes source ${source} does not exist`);
+    addPreviousWarning(cache, source, 'Previous GL quotes source does not exist');
+    return null;
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    const filePath = [path.join(source, fileName), path.join(source, path.basename(fileName))].find((p) => fs.existsSync(p));
+    if (!filePath) {
+      logger.vlog(`File ${fileName} not found in ${source}`);
+      return null;
+    }
+    logger.vlog(`Using previous GL quotes from ${filePath}`);
+    return fs.readFileSync(filePath, 'utf8');
+  }
+
+  // Load the zip once for all books
+  if (cache.zipUrl !== source) {
+    cache.zipUrl = source;
+    cache.zip = null;
+    cache.zipPromise = (async () => {
+      logger.vlog(`Loading previous GL quotes from: ${source}`);
+      try {
+        return await new JSZip().loadAsync(fs.readFileSync(source));
+      } catch (err) {
+        logger.error(`Could not load previous GL quotes from ${source}: ${err.message}`);
+        addPreviousWarning(cache, source, err);
+        return null;
+      }
+    })();
+  }
+  if (!cache.zip) {
+    cache.zip = await cache.zipPromise;
+    cache.zipPromise = null;
+  }
+  if (!cache.zip) {
+    return null;
+  }
+
+  const fileInZip = findFileInZip(cache.zip, fileName);
+  if (!fileInZip) {
+    logger.vlog(`File ${fileName} not found in zip archive`);
+    return null;
+  }
+  return fileInZip.async('text');
+}
+
+/**
+ * Gets the previous GL quotes of a TSV file from the `previous` setting (local zip, local directory
+ * or zip URL), or else from the latest artifact zip file of the repo
+ * @param {string} fileName - The TSV filename to extract from the zip
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} cache - Cache from createPreviousGLQuotesCache()
+ * @param {object} logger - Logger from createLogger()
+ * @returns {Promise<string|null>} - The content of the TSV file or null if not found
+ */
+export async function getPreviousGLQuotes(fileName, settings, cache, logger) {
+  const { repo, backupArtifactUrl, useBackupArtifact, previous } = settings;
+  if (previous && !isUrl(previous)) {
+    return getLocalPreviousGLQuotes(fileName, previous, cache, logger);
+  }
+  if (settings.offline) {
+    logger.vlog(`Offline mode: not looking up previous GL quotes for ${fileName}`);
+    return null;
+  }
+  try {
+    // An explicit previous GL quotes URL replaces the artifact discovery
+    if (!cache.zipUrl && previous) {
+      cache.zipUrl = previous;
+    }
+
+    // Resolve/cached the artifact URL
+    if (!cache.zipUrl) {
+      cache.urlPromise = cache.urlPromise || findArtifact(settings, logger);
+      const got = await cache.urlPromise;
+      cache.zipUrl = got?.url || null;
+      cache.artifactMeta = got?.meta || null;
+      cache.urlPromise = null;
+      if (got?.error) {
+        addPreviousWarning(cache, got.listUrl || settings.artifactsBaseUrl, got.error);
+      }
+    }
+
+    // Fallback to backup artifact URL if discovery failed
+    let zipUrl = cache.zipUrl;
+    if (!zipUrl && useBackupArtifact && !cache.backupUrlFailed) {
+      logger.vlog(`No artifact URL discovered for ${repo}; falling back to backup URL: ${backupArtifactUrl}`);
+      zipUrl = backupArtifactUrl;
+      cache.zipUrl = zipUrl; // cache the fallback to avoid re-evaluating
+    }
+    if (!zipUrl || (zipUrl === backupArtifactUrl && cache.backupUrlFailed)) {
+      logger.vlog(`No artifact zip URL available for repo ${repo}${cache.backupUrlFailed ? ' (backup URL previously failed)' : ''}${!useBackupArtifact ? ' (backup artifact disabled)' : ''}`);
+      return null;
+    }
+
+    // Try to reuse an already-loaded zip, or await an in-flight download
+    let zipContent;
+    if (cache.zip && cache.zipUrl === zipUrl) {
+      logger.vlog(`Using cached zip for ${zipUrl}`);
+      zipContent = cache.zip;
+    } else if (cache.zipPromise && cache.zipUrl === zipUrl) {
+      logger.vlog(`Awaiting ongoing download for ${zipUrl}`);
+      try {
+        zipContent = await cache.zipPromise;
+      } catch (err) {
+        // clear failed promise so future calls can retry
+        cache.zipPromise = null;
+        logger.error(`Failed to load cached zip: ${err.message}`);
+        return null;
+      }
+    } else {
+      // start a new download/load and store the promise to prevent duplicate downloads
+      cache.zipUrl = zipUrl;
+      cache.zipPromise = (async () => {
+        logger.vlog(`Downloading previous GL quotes from: ${zipUrl}`);
+        const response = await fetchWithRetry(zipUrl, httpOptions(settings, logger));
+        if (!response.ok) {
+          throw new Error(`Failed to download zip file: ${response.status} ${response.statusText}${authHint(response, settings)}`);
+        }
+
+        try {
+          const arrayBuffer = await response.arrayBuffer();
+
+          // Check if it looks like a zip file (should start with PK)
+          const firstBytes = new Uint8Array(arrayBuffer.slice(0, 2));
+          if (firstBytes[0] !== 0x50 || firstBytes[1] !== 0x4B) {
+            // Not a zip file, probably an HTML page with bot detection
+            throw new Error('Downloaded content is not a zip file (likely bot detection page)');
+          }
+
+          const artifactZip = await new JSZip().loadAsync(arrayBuffer);
+          // Use the artifact zip directly; files are in the root directory now
+          cache.zip = artifactZip;
+          cache.zipPromise = null;
+          return artifactZip;
+        } catch (err) {
+          cache.zipPromise = null;
+          // If this was the backup URL, mark it as failed to avoid future attempts
+          if (zipUrl === backupArtifactUrl) {
+            cache.backupUrlFailed = true;
+            logger.vlog(`Backup artifact URL failed, will not retry: ${err.message}`);
+          }
+          logger.vlog(`Could not load previous GL quotes: ${err.message}`);
+          addPreviousWarning(cache, zipUrl, err);
+          return null;
+        }
+      })();
+
+      try {
+        zipContent = await cache.zipPromise;
+      } catch (err) {
+        cache.zipPromise = null;
+        // If this was the backup URL, mark it as failed to avoid future attempts
+        if (zipUrl === backupArtifactUrl) {
+          cache.backupUrlFailed = true;
+          logger.vlog(`Backup artifact URL failed, will not retry: ${err.message}`);
+        }
+        logger.error(err.message);
+        addPreviousWarning(cache, zipUrl, err);
+        return null;
+      }
+    }
+    if (!zipContent) {
+      return null;
+    }
+
+    // Look for the specific TSV file in the zip
+    const fileInZip = findFileInZip(zipContent, fileName);
+    if (!fileInZip) {
+      logger.vlog(`File ${fileName} not found in zip archive`);
+      return null;
+    }
+
+    // Extract the content
+    const content = await fileInZip.async('text');
+    logger.vlog(`Successfully extracted ${fileName} from zip archive`);
+
+    return content;
+  } catch (error) {
+    logger.error(`Error getting previous GL quotes for ${fileName}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Match tiers of mergePreviousGLQuotes(), in the order they are tried
+ */
+export const MATCH_TIERS = ['exact', 'id', 'quote'];
+
+function emptyTierCounts() {
+  return Object.fromEntries(MATCH_TIERS.map((tier) => [tier, 0]));
+}
+
+/**
+ * Formats match counts per tier for summary lines, e.g. "exact=10, id=1, quote=0"
+ * @param {object} counts - Counts per tier
+ * @returns {string}
+ */
+export function formatTierCounts(counts) {
+  return MATCH_TIERS.map((tier) => `${tier}=${counts?.[tier] || 0}`).join(', ');
+}
+
+/**
+ * Normalizes a quote for fuzzy matching: NFC, whitespace collapsed and trimmed
+ * @param {string} quote
+ * @returns {string}
+ */
+export function normalizeQuote(quote) {
+  return (quote || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function chapterOf(reference) {
+  return (reference || '').split(':')[0];
+}
+
+// The fuzzy tiers match within a chapter, or within the book if a TSV has no Reference column
+function fuzzyKeys(row, idx, byChapter) {
+  const scope = byChapter ? chapterOf(row[idx.ref]) : '';
+  const quote = normalizeQuote(row[idx.quote]);
+  const occ = row[idx.occ] ?? '';
+  return {
+    id: idx.id >= 0 && row[idx.id] ? [row[idx.id], scope, quote, occ].join('\u241F') : null,
+    quote: [scope, quote, occ].join('\u241F'),
+  };
+}
+
+/**
+ * Indexes the previous rows once for all match tiers of findPreviousRow(). Rows sharing an exact key
+ * are kept in order, so duplicated notes are paired with their duplicates in order.
+ * @param {string[][]} previousRows - Parsed previous TSV rows, header first
+ * @param {object} prevIdx - Indices from getIndexBundle()
+ * @param {object} curIdx - Indices of the current TSV from getIndexBundle()
+ * @returns {object} - The index
+ */
+function indexPreviousRows(previousRows, prevIdx, curIdx) {
+  const has = (key) => curIdx[key] >= 0 && prevIdx[key] >= 0;
+  const index = {
+    // Exact matches need Reference, ID, Quote AND Occurrence in both TSVs
+    exact: has('ref') && has('id') && has('quote') && has('occ') ? new Map() : null,
+    used: new Map(),
+    id: new Map(),
+    quote: new Map(),
+    fuzzy: has('quote') && has('occ'),
+    byChapter: has('ref'),
+  };
+  for (let j = 1; j < previousRows.length; j++) {
+    const prevRow = previousRows[j];
+    if (!isDataRow(prevRow)) continue;
+    if (index.exact) {
+      const key = makeRowKey(prevRow, prevIdx);
+      if (!index.exact.has(key)) index.exact.set(key, []);
+      index.exact.get(key).push(prevRow);
+    }
+    // The fuzzy tiers only consider previous rows that have a GLQuote; first row wins
+    if (index.fuzzy && prevRow[prevIdx.glq]?.trim()) {
+      const keys = fuzzyKeys(prevRow, prevIdx, index.byChapter);
+      if (keys.id && has('id') && !index.id.has(keys.id)) index.id.set(keys.id, prevRow);
+      if (!index.quote.has(keys.quote)) index.quote.set(keys.quote, prevRow);
+    }
+  }
+  return index;
+}
+
+/**
+ * Finds the previous row to take the GL quote of a current row from, trying in order:
+ * - exact: same Reference, ID, Quote and Occurrence
+ * - id: same ID in the same chapter, e.g. a note moved to a neighboring verse, as long as its
+ *   normalized Quote and Occurrence are unchanged
+ * - quote: same normalized Quote and Occurrence in the same chapter, e.g. a re-ID'd note or a quote
+ *   that only gained whitespace or a different Unicode normalization
+ * @param {string[]} currentRow - The current row
+ * @param {object} curIdx - Indices of the current TSV from getIndexBundle()
+ * @param {object} index - Index from indexPreviousRows()
+ * @returns {{row: string[]|null, tier: string|null}}
+ */
+function findPreviousRow(currentRow, curIdx, index) {
+  if (index.exact) {
+    const key = makeRowKey(currentRow, curIdx);
+    const rows = index.exact.get(key);
+    if (rows) {
+      // Pair duplicates in order; extra current duplicates reuse the last previous one
+      const used = index.used.get(key) || 0;
+      index.used.set(key, used + 1);
+      // One without a GL quote is still the same note: it is generated, not taken from another row
+      return { row: rows[Math.min(used, rows.length - 1)], tier: 'exact' };
+    }
+  }
+
+  if (!index.fuzzy) {
+    return { row: null, tier: null };
+  }
+  const keys = fuzzyKeys(currentRow, curIdx, index.byChapter);
+  if (keys.id && index.id.has(keys.id)) {
+    return { row: index.id.get(keys.id), tier: 'id' };
+  }
+  if (keys.quote && index.quote.has(keys.quote)) {
+    return { row: index.quote.get(keys.quote), tier: 'quote' };
+  }
+  return { row: null, tier: null };
+}
+
+function withEmptyGLQuoteColumns(tsvContent, existingCount, logger, columns) {
+  const output = addEmptyGLQuoteColumns(tsvContent, logger, columns);
+  const { missing, totalDataRows } = countMissingGLQuotes(readTsv(output).rows, columns);
+  return { output, missingCount: missing, matchedCount: 0, matchedByTier: emptyTierCounts(), existingCount, totalDataRows };
+}
+
+/**
+ * Merges previous GL quotes into the current TSV content. GL quotes the current TSV already has,
+ * e.g. from an earlier run on the same files, take priority: they are kept as they are and only the
+ * rows without one are filled from the previous GL quotes, so running on its own output changes nothing.
+ * @param {string} tsvContent - The current TSV content
+ * @param {string|null} previousContent - The previously generated TSV content, e.g. from getPreviousGLQuotes()
+ * @param {object} options
+ * @param {string} [options.fileName] - The TSV filename, for log messages
+ * @param {object} options.logger - Logger from createLogger()
+ * @param {object} [options.columns] - Names and position of the GL quote columns, see DEFAULT_GL_COLUMNS
+ * @param {boolean} [options.fallbackToDefaultColumns] - Whether to read previous TSVs without columns of these
+ *   names from their GLQuote/GLOccurrence columns (default: true)
+ * @returns {{output: string, missingCount: number, matchedCount: number, existingCount: number, totalDataRows: number}} - The TSV content with GL quotes merged in, plus counts
+ */
+export function mergePreviousGLQuotes(tsvContent, previousContent, { fileName, logger, columns = DEFAULT_GL_COLUMNS, fallbackToDefaultColumns = true }) {
+  let existingCount = 0;
+  try {
+    // Count the GL quotes the current TSV already has
+    const existingRows = readTsv(tsvContent).rows;
+    const existingIdx = getIndexBundle(existingRows[0], columns);
+    const hasGLColumns = existingIdx.glq !== -1 && existingIdx.glo !== -1;
+    if (hasGLColumns) {
+      for (const row of existingRows.slice(1)) {
+        if (isDataRow(row) && !rowNeedsGLQuote(row, existingIdx) && row[existingIdx.glq]?.trim()) {
+          existingCount++;
+        }
+      }
+      if (logger.verbose) {
+        logger.log(`TSV already has GLQuote and GLOccurrence columns, keeping their ${existingCount} GL quotes`);
+      }
+    }
+
+    if (!previousContent) {
+      if (logger.verbose && !hasGLColumns) {
+        logger.log(`No previous GL quotes found, adding empty columns`);
+      }
+      // Still need to add the columns even if we can't get previous data
+      const result = withEmptyGLQuoteColumns(tsvContent, existingCount, logger, columns);
+      logger.dlog(`Book ${fileName}: no previous GL quotes to merge; will generate for ${result.missingCount}/${result.totalDataRows} rows`);
+      return result;
+    }
+
+    // Parse previous TSV content
+    const previousRows = readTsv(previousContent).rows;
+    let prevIdx = getIndexBundle(previousRows[0], columns);
+    if ((prevIdx.glq === -1 || prevIdx.glo === -1) && fallbackToDefaultColumns) {
+      prevIdx = getIndexBundle(previousRows[0]);
+    }
+
+    if (prevIdx.glq === -1 || prevIdx.glo === -1) {
+      if (logger.verbose) {
+        logger.log(`Previous TSV doesn't have GLQuote/GLOccurrence columns, adding empty columns`);
+      }
+      return withEmptyGLQuoteColumns(tsvContent, existingCount, logger, columns);
+    }
+
+    if (existingIdx.occ === -1) {
+      logger.error('No Occurrence column found in current TSV');
+      return withEmptyGLQuoteColumns(tsvContent, existingCount, logger, columns);
+    }
+
+    // Make sure the GL quote columns exist, added after the Occurrence column if they don't, in place
+    // so that blank lines, ragged rows, line endings and the BOM are written back as they were
+    const current = readTsv(addEmptyGLQuoteColumns(tsvContent, logger, columns));
+    const currentRows = current.rows;
+    const curIdx = getIndexBundle(currentRows[0], columns);
+
+    // Index the previous rows once instead of scanning them for every current row
+    const previousIndex = indexPreviousRows(previousRows, prevIdx, curIdx);
+
+    let matchedCount = 0;
+    const matchedByTier = emptyTierCounts();
+    for (let i = 1; i < currentRows.length; i++) {
+      const currentRow = currentRows[i];
+      if (!isDataRow(currentRow) || currentRow.length <= Math.max(curIdx.glq, curIdx.glo)) continue;
+      // GL quotes that were already there are kept
+      if (hasGLColumns && !rowNeedsGLQuote(currentRow, curIdx)) continue;
+
+      // Find matching row in previous data
+      const { row: matchedPrevRow, tier } = findPreviousRow(currentRow, curIdx, previousIndex);
+      const glQuoteValue = matchedPrevRow ? (matchedPrevRow[prevIdx.glq] || '') : '';
+      const glOccurrenceValue = matchedPrevRow ? (matchedPrevRow[prevIdx.glo] || '') : '';
+      if (matchedPrevRow && (glQuoteValue !== '' || glOccurrenceValue !== '')) {
+        matchedCount++;
+        matchedByTier[tier]++;
+        currentRow[curIdx.glq] = glQuoteValue;
+        currentRow[curIdx.glo] = glOccurrenceValue;
+      }
+    }
+
+    // Convert back to TSV string
+    const result = writeTsv(current);
+
+    // Count missing GLQuote after merge
+    const { missing: missingCount, totalDataRows } = countMissingGLQuotes(currentRows, columns);
+
+    if (logger.verbose) {
+      logger.log(`Successfully merged GL quotes from previous version`);
+    }
+    logger.dlog(`Book ${fileName}: existing=${existingCount}, cache hits=${matchedCount} (${formatTierCounts(matchedByTier)}), misses=${missingCount}, total=${totalDataRows}`);
+    return { output: result, missingCount, matchedCount, matchedByTier, existingCount, totalDataRows };
+
+  } catch (error) {
+    logger.error(`Error merging previous GL quotes:`, error.message);
+    const result = withEmptyGLQuoteColumns(tsvContent, 0, logger, columns);
+    logger.dlog(`Book ${fileName}: error merging previous; will generate for ${result.missingCount}/${result.totalDataRows}`);
+    return result;
+  }
+}
@@ -0,0 +1,728 @@
+import { addGLQuoteCols } from 'tsv-quote-converters';
+import fs from 'fs';
+import path from 'path';
+import { createBufferedLogger, createLogger } from './logger.js';
+import { resolveSettings, withBibleLink } from './settings.js';
+import {
+  createPreviousGLQuotesCache,
+  MATCH_TIERS,
+  formatTierCounts,
+  getPreviousGLQuotes,
+  mergePreviousGLQuotes,
+} from './previous.js';
+import { fetchBookUsfm, startResourceServer } from './resources.js';
+import { httpOptions } from './http.js';
+import { diagnoseTsv, writeDiagnostics } from './diagnostics.js';
+import { outputGLQuoteDiff } from './diff.js';
+import { bookCodeFromFileName, OBS_CODE } from './books.js';
+import { findProjectFiles } from './projects.js';
+import { selectManifestBible } from './manifest.js';
+import { buildReport, writeReport } from './report.js';
+import { applyQuoteCache, loadQuoteCache, saveQuoteCache, updateQuoteCache } from './quoteCache.js';
+import { bibleChanged, findRecordedCommit, getPreviousSources, pinBibles } from './versions.js';
+import { buildZip } from './zip.js';
+import { ERROR_CODES, classifyError, parseConverterError } from './errors.js';
+import {
+  DEFAULT_GL_COLUMNS,
+  addEmptyGLQuoteColumns,
+  buildPartialTSVForMissing,
+  countMissingGLQuotes,
+  diffGLQuotes,
+  getIndexBundle,
+  isDataRow,
+  makeRowKey,
+  mergePartialBack,
+  readTsv,
+  toConverterTsv,
+  validateTsvStructure,
+} from './tsv.js';
+
+/**
+ * Checks the Bible picked from the manifest.yaml relations against DCS, and moves on to the next relation
+ * or owner if it does not exist or is not an aligned Bible
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} logger - Logger from createLogger()
+ * @returns {Promise<object>} - The settings, with the Bible that passed
+ */
+export async function checkManifestBible(settings, logger) {
+  if (!settings.bibleCandidates?.length) {
+    return settings;
+  }
+  const bibleLink = await selectManifestBible(settings.dcsUrl, settings.bibleCandidates, logger, httpOptions(settings, logger));
+  if (bibleLink === settings.bibleLinks[0]) {
+    return settings;
+  }
+  logger.log(`Using Bible Link: ${bibleLink} (instead of ${settings.bibleLinks[0]})`);
+  return withBibleLink(settings, bibleLink);
+}
+
+/**
+ * Lists the TSV files to process: the TSV projects of manifest.yaml, or the files matching a glob
+ * @param {string} workingdir - Directory where the TSV files are located
+ * @param {object} [options] - See findProjectFiles()
+ * @returns {string[]} - The TSV file paths, relative to workingdir
+ */
+export function findTsvFiles(workingdir, options) {
+  return findProjectFiles(workingdir, options).map((project) => project.file);
+}
+
+/**
+ * Runs fn for every item with at most `limit` calls in flight. Stops starting new items after a failure.
+ * @param {Array} items - The items
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {(item: any, index: number) => Promise<void>} fn - The function to run
+ * @returns {Promise<void>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  const outcomes = await Promise.allSettled(workers);
+  const rejected = outcomes.find((outcome) => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+}
+
+/**
+ * Splits TSV files into the ones of the selected books and the rest
+ * @param {{file: string, bookCode: string}[]} projects - TSV files and their book codes, from findProjectFiles()
+ * @param {{books: Set<string>|null, excludeBooks: Set<string>|null}} settings - Book selection
+ * @returns {{selected: object[], unselected: object[]}}
+ */
+export function selectBookFiles(projects, { books, excludeBooks }) {
+  const selected = [];
+  const unselected = [];
+  for (const project of projects) {
+    const code = project.bookCode.toUpperCase();
+    const isSelected = (!books || books.has(code)) && !excludeBooks?.has(code);
+    (isSelected ? selected : unselected).push(project);
+  }
+  return { selected, unselected };
+}
+
+function hasGLQuoteColumns(tsvContent, columns = DEFAULT_GL_COLUMNS) {
+  const idx = getIndexBundle(readTsv(tsvContent).rows[0], columns);
+  return idx.glq !== -1 && idx.glo !== -1;
+}
+
+function getOutputFileName(file, tsvSuffix) {
+  if (!tsvSuffix) {
+    return file;
+  }
+  // Insert suffix before .tsv extension
+  const baseName = file.replace('.tsv', '');
+  return `${baseName}_${tsvSuffix}.tsv`;
+}
+
+// The Bible links to generate from: pinned to a commit if the Bible was pinned
+function sourceBibleLinks({ settings, version }) {
+  return version ? [version.pinnedLink] : settings.bibleLinks;
+}
+
+// converterTsv is TSV content prepared with toConverterTsv()
+function generationParams(context, bookCode, converterTsv, regenerateAll = context.settings.regenerateAll) {
+  const { settings, dcsUrl, logger } = context;
+  return {
+    bibleLinks: sourceBibleLinks(context),
+    bookCode,
+    tsvContent: converterTsv,
+    isSourceLanguage: true,
+    trySeparatorsAndOccurrences: true,
+    dcsUrl,
+    quiet: logger.quiet || !logger.verbose,
+    usePreviousGLQuotes: !regenerateAll,
+  };
+}
+
+/**
+ * Merges previous GL quotes into one TSV file, fills rows from the quote cache and generates the ones
+ * still missing, for each Bible in turn
+ * @returns {Promise<object>} - The per-file result
+ */
+async function processFile({ file, bookCode }, context) {
+  const { settings } = context;
+  const startedAt = Date.now();
+  const committed = fs.readFileSync(path.join(settings.workingdir, file), 'utf8');
+  const structureProblems = validateTsvStructure(committed);
+  if (!settings.check) {
+    for (const problem of structureProblems) {
+      context.logger.log(`Warning: ${file} line ${problem.line}: ${problem.message}`);
+    }
+  }
+
+  // Each Bible fills its own GL quote columns, starting from the output of the one before. Missing
+  // columns are added up front, so that they end up in the order of the Bibles.
+  const bibles = settings.bookBibles?.get(bookCode.toUpperCase()) || settings.bibles;
+  const bibleResults = [];
+  let tsvContent = committed;
+  if (bibles.length > 1) {
+    for (const bible of settings.columns.position === 'end' ? bibles : [...bibles].reverse()) {
+      tsvContent = addEmptyGLQuoteColumns(tsvContent, context.logger, bible.columns);
+    }
+  }
+  for (const [index, bible] of bibles.entries()) {
+    const bibleContext = {
+      ...context,
+      settings: { ...settings, bibleLinks: [bible.bibleLink], columns: bible.columns },
+      bible,
+      version: context.bibleVersions?.get(bible.bibleLink),
+      // Older previous GL quotes only have the GLQuote/GLOccurrence columns, of the first Bible
+      primaryBible: index === 0,
+    };
+    const bibleResult = await processBible(file, bookCode, committed, tsvContent, bibleContext);
+    bibleResults.push(bibleResult);
+    tsvContent = bibleResult.output ?? tsvContent;
+    if (bibleResult.error && settings.exitOnError) break;
+  }
+
+  const result = bibleResults.length === 1 ? bibleResults[0] : combineBibleResults(bibleResults);
+  result.structureProblems = structureProblems;
+  result.durationMs = Date.now() - startedAt;
+  return result;
+}
+
+async function processBible(file, bookCode, committed, tsvContent, context) {
+  const { settings, bible, version } = context;
+  const { columns } = settings;
+  const quoteCache = settings.quoteCacheDir ? loadQuoteCache(settings.quoteCacheDir, settings.bibleLinks, bookCode, version?.commit) : null;
+  if (quoteCache?.staleCommit) {
+    context.logger.log(`${bible.bibleLink} changed since the quote cache of ${file} was built (${quoteCache.staleCommit} -> ${version.commit}); not using it`);
+  }
+  const hasCommittedGLQuotes = hasGLQuoteColumns(committed, columns);
+  const result = await generateFile(file, bookCode, tsvContent, quoteCache, context);
+  result.label = bible.label;
+  result.bibleLink = bible.bibleLink;
+  result.bibleCommit = version?.commit ?? null;
+  result.columns = columns;
+
+  // Check mode: compare the committed GL quotes with the fresh ones
+  if (settings.check && hasCommittedGLQuotes && result.output && !result.error) {
+    result.changes = diffGLQuotes(committed, result.output, columns).map((change) => ({ ...change, columns }));
+  }
+
+  // Final counts for the report
+  if (result.output) {
+    const { rows } = readTsv(result.output);
+    const { missing, quoteNotFound } = countMissingGLQuotes(rows, columns);
+    result.rows = rows.slice(1).filter(r => r.some(cell => cell.trim())).length;
+    result.remainingMissing = missing;
+    result.quoteNotFound = quoteNotFound;
+    if (result.generation === 'partial' || result.generation === 'full') {
+      result.generatedCount = Math.max(0, result.missingCount - missing);
+    }
+  }
+  // Work out why the rows still missing a GL quote could not get one
+  if (settings.diagnostics && result.remainingMissing > 0 && !settings.summaryOnly) {
+    result.diagnostics = await diagnoseFile(result, context);
+  }
+  // Compare with the committed GL quotes, or the previous GL quotes if none are committed
+  if (settings.diff && result.output) {
+    const baseline = hasCommittedGLQuotes
+      ? committed
+      : await getPreviousGLQuotes(file, settings, context.previousCache, context.logger);
+    result.diff = diffGLQuotes(baseline || committed, result.output, columns).map((change) => ({ ...change, columns }));
+  }
+
+  // Remember the GL quotes generated in this run for the next one
+  if (quoteCache && result.output && !settings.summaryOnly && !settings.check && !settings.dryRun) {
+    updateQuoteCache(quoteCache, result.output, columns, result.generatedKeys);
+    try {
+      saveQuoteCache(quoteCache);
+    } catch (error) {
+      context.logger.error(`Could not write quote cache ${quoteCache.file}:`, error.message);
+    }
+  }
+  return result;
+}
+
+// How much of a file was generated, from least to most, to sum up the generation of several Bibles
+const GENERATIONS = ['skipped', 'none', 'partial', 'full', 'fallback'];
+
+/**
+ * Sums up the results of a file for several Bibles into one per-file result; the results of each
+ * Bible are kept in its `bibles`
+ * @param {object[]} bibleResults - Results of processBible(), in the order of the Bibles
+ * @returns {object}
+ */
+function combineBibleResults(bibleResults) {
+  const sum = (key) => bibleResults.reduce((total, result) => total + (result[key] || 0), 0);
+  const [first] = bibleResults;
+  return {
+    ...first,
+    label: null,
+    bibleLink: null,
+    bibleCommit: null,
+    columns: null,
+    output: bibleResults.at(-1).output,
+    matchedCount: sum('matchedCount'),
+    matchedByTier: Object.fromEntries(MATCH_TIERS.map((tier) => [tier, bibleResults.reduce((total, result) => total + (result.matchedByTier?.[tier] || 0), 0)])),
+    existingCount: sum('existingCount'),
+    quoteCacheHits: sum('quoteCacheHits'),
+    missingCount: sum('missingCount'),
+    generation: bibleResults.map((result) => result.generation).reduce((a, b) => (GENERATIONS.indexOf(b) > GENERATIONS.indexOf(a) ? b : a)),
+    generatedCount: sum('generatedCount'),
+    remainingMissing: sum('remainingMissing'),
+    quoteNotFound: sum('quoteNotFound'),
+    converterErrors: bibleResults.flatMap((result) => result.converterErrors),
+    diagnostics: bibleResults.flatMap((result) => result.diagnostics),
+    changes: bibleResults.flatMap((result) => result.changes),
+    diff: bibleResults.flatMap((result) => result.diff),
+    error: bibleResults.find((result) => result.error)?.error || null,
+    errorCode: bibleResults.find((result) => result.error)?.errorCode || null,
+    bibles: bibleResults,
+  };
+}
+
+/**
+ * The warnings of a file: malformed TSV lines and the rows tsv-quote-converters could not generate
+ * @param {object} result - Per-file result
+ * @returns {{code: string, file: string, warning: string}[]}
+ */
+function collectWarnings(result) {
+  const warnings = result.structureProblems.map((problem) => ({
+    code: ERROR_CODES.TSV_MALFORMED, file: result.file, line: problem.line, warning: problem.message,
+  }));
+  for (const bibleResult of result.bibles || [result]) {
+    for (const converterError of bibleResult.converterErrors) {
+      const row = parseConverterError(converterError);
+      warnings.push({
+        code: ERROR_CODES.GENERATION_FAILED,
+        file: result.file,
+        ...(bibleResult.label ? { bible: bibleResult.label } : {}),
+        ...(row ? { rows: [row] } : {}),
+        warning: converterError,
+      });
+    }
+  }
+  return warnings;
+}
+
+async function diagnoseFile(result, context) {
+  const { settings, dcsUrl, logger, bible } = context;
+  let usfm = null;
+  let unavailable = null;
+  if (result.bookCode.toUpperCase() === OBS_CODE) {
+    unavailable = 'OBS has no aligned Bible';
+  } else {
+    try {
+      usfm = await fetchBookUsfm(dcsUrl, sourceBibleLinks(context)[0], result.bookCode, httpOptions(settings, logger));
+    } catch (error) {
+      unavailable = error.message;
+      logger.vlog(`Could not load the Bible texts to diagnose ${result.file}: ${error.message}`);
+    }
+  }
+  return diagnoseTsv(result.output, { file: result.file, bookCode: result.bookCode, usfm, unavailable, converterErrors: result.converterErrors, columns: settings.columns, bible: bible?.label });
+}
+
+// The keys of all data rows of a TSV, see makeRowKey()
+function rowKeys(tsvContent, columns) {
+  const { rows } = readTsv(tsvContent);
+  const idx = getIndexBundle(rows[0], columns);
+  return new Set(rows.slice(1).filter(isDataRow).map((row) => makeRowKey(row, idx)));
+}
+
+async function generateFile(file, bookCode, tsvContent, quoteCache, context) {
+  const { settings, previousCache, logger } = context;
+  const { columns } = settings;
+  const hasCommittedGLQuotes = hasGLQuoteColumns(tsvContent, columns);
+  // In check mode committed GL quotes are regenerated, to compare them with fresh ones
+  const regenerateAll = settings.regenerateAll || (settings.check && hasCommittedGLQuotes);
+  const result = { file, bookCode, output: null, matchedCount: 0, matchedByTier: null, existingCount: 0, quoteCacheHits: 0, missingCount: 0, totalDataRows: 0, generation: 'none', generatedCount: 0, generatedKeys: new Set(), remainingMissing: 0, quoteNotFound: 0, rows: 0, durationMs: 0, converterErrors: [], diagnostics: [], structureProblems: [], changes: [], diff: [], error: null, errorCode: null };
+
+  // If regenerateAll is set, all GL Quotes will be regenerated even if they exist
+  if (regenerateAll) {
+    if (logger.verbose) {
+      logger.log(`Regenerating all GL Quotes for ${file}`);
+    }
+  } else {
+    if (logger.verbose) {
+      logger.log(`Attempting to merge previous GL quotes for ${file}`);
+    }
+    // GL quotes already in the file come first; the previous ones are only needed for the rows without,
+    // and are left out if they were generated from another version of the Bible and that should refresh them
+    let previousContent = (!hasCommittedGLQuotes || countMissingGLQuotes(readTsv(tsvContent).rows, columns).missing > 0)
+      ? await getPreviousGLQuotes(file, settings, previousCache, logger)
+      : null;
+    if (previousContent && settings.refreshOnBibleChange) {
+      const recordedCommit = findRecordedCommit(await getPreviousSources(settings, previousCache, logger), context.bible);
+      if (bibleChanged(recordedCommit, context.version)) {
+        logger.log(`${context.bible.bibleLink} changed since the previous GL quotes of ${file} were generated (${recordedCommit} -> ${context.version.commit}); not using them`);
+        previousContent = null;
+      }
+    }
+    const merged = mergePreviousGLQuotes(tsvContent, previousContent, { fileName: file, logger, columns, fallbackToDefaultColumns: context.primaryBible !== false });
+    tsvContent = merged.output;
+
+    // Rows generated by earlier runs don't need to be generated again
+    if (quoteCache && merged.missingCount > 0) {
+      const cached = applyQuoteCache(tsvContent, quoteCache, columns);
+      if (cached.hits > 0) {
+        tsvContent = cached.output;
+        merged.missingCount = countMissingGLQuotes(readTsv(tsvContent).rows, columns).missing;
+        result.quoteCacheHits = cached.hits;
+        logger.dlog(`Book ${file}: quote cache hits=${cached.hits} from ${quoteCache.file}`);
+      }
+    }
+
+    result.matchedCount = merged.matchedCount || 0;
+    result.matchedByTier = merged.matchedByTier;
+    result.existingCount = merged.existingCount || 0;
+    result.missingCount = merged.missingCount;
+    result.totalDataRows = merged.totalDataRows;
+    // Single-line summary (always shown unless quiet)
+    logger.log(`Summary for ${file}${context.bible?.label ? ` (${context.bible.label})` : ''}: existing=${result.existingCount}, cache hits=${merged.matchedCount || 0} (${formatTierCounts(merged.matchedByTier)}), quote cache hits=${result.quoteCacheHits}, to-generate=${merged.missingCount}, total=${merged.totalDataRows}`);
+
+    // Summary-only mode stops right after the summary
+    if (settings.summaryOnly) {
+      result.output = tsvContent;
+      result.generation = 'skipped';
+      return result;
+    }
+
+    // OBS has no aligned Bible text to generate GL quotes from; previous and cached ones are all there is
+    if (bookCode.toUpperCase() === OBS_CODE) {
+      if (merged.missingCount > 0) {
+        logger.log(`Not generating ${merged.missingCount} GL quotes for ${file}: OBS has no aligned Bible to generate them from`);
+      }
+      result.output = tsvContent;
+      return result;
+    }
+
+    // If everything is covered by previous GL quotes, skip regeneration entirely
+    if (merged.missingCount === 0) {
+      if (logger.verbose) logger.log(`All rows covered by previous GL quotes for ${file}; skipping generation.`);
+      result.output = tsvContent;
+      return result;
+    }
+
+    // If only some rows are missing, generate GL quotes only for those rows
+    const totalRows = merged.totalDataRows ?? (readTsv(tsvContent).rows.length - 1);
+    if (merged.missingCount > 0 && merged.missingCount < totalRows) {
+      if (logger.verbose) logger.log(`Generating GL quotes for ${merged.missingCount}/${totalRows} rows in ${file}`);
+      logger.dlog(`Book ${file}: starting partial generation for ${merged.missingCount} rows`);
+      const { partialTSV, keys, missingKeys } = buildPartialTSVForMissing(tsvContent, columns);
+      logger.dlog(`Partial TSV has ${partialTSV.split('\n').length - 1} rows (of which ${keys.size} are missing GL quotes)`);
+      if (missingKeys?.length) {
+        logger.dlog(`First missing rows (${Math.min(missingKeys.length, 10)} shown):`);
+        for (const mk of missingKeys) logger.dlog(`  - ${mk}`);
+      }
+
+      // Validate partial TSV content before processing
+      if (!partialTSV || typeof partialTSV !== 'string') {
+        throw new Error(`Invalid partial TSV content for ${file}: content is not a string`);
+      }
+
+      const partialLines = partialTSV.split('\n');
+      if (partialLines.length < 2) {
+        throw new Error(`Invalid partial TSV content for ${file}: not enough lines (header + data)`);
+      }
+
+      try {
+        const partialResult = await addGLQuoteCols(generationParams(context, bookCode, partialTSV));
+        result.converterErrors.push(...(partialResult.errors || []));
+        // Merge back into the full TSV
+        tsvContent = mergePartialBack(tsvContent, partialResult.output, columns);
+        // Recount missing; if none missing, we can skip full generation
+        const { missing: missingAfter } = countMissingGLQuotes(readTsv(tsvContent).rows, columns);
+        logger.dlog(`Book ${file}: partial generation done; generated=${merged.missingCount - missingAfter}, remaining missing=${missingAfter}`);
+        if (missingAfter === 0) {
+          if (logger.verbose) logger.log(`Partial generation completed for ${file}; skipping full generation.`);
+          result.output = tsvContent;
+          result.generation = 'partial';
+          result.generatedKeys = keys;
+          return result;
+        }
+      } catch (e) {
+        logger.error(`Partial generation failed for ${file}:`, e.message);
+        // Fallback to full generation for this file
+      }
+    }
+  }
+
+  // Validate TSV content before processing
+  if (!tsvContent || typeof tsvContent !== 'string') {
+    throw new Error(`Invalid TSV content for ${file}: content is not a string`);
+  }
+
+  if (readTsv(tsvContent).rows.length < 2) {
+    throw new Error(`Invalid TSV content for ${file}: not enough lines (header + data)`);
+  }
+
+  const params = generationParams(context, bookCode, toConverterTsv(tsvContent, columns), regenerateAll);
+
+  if (logger.verbose) {
+    logger.log(params);
+  }
+
+  try {
+    const generated = await addGLQuoteCols(params);
+    result.converterErrors = generated.errors || [];
+    // Only the generated GL quote cells are taken over, so the rest of the file stays byte for byte as it was
+    const withColumns = hasGLQuoteColumns(tsvContent, columns) ? tsvContent : addEmptyGLQuoteColumns(tsvContent, logger, columns);
+    result.output = hasGLQuoteColumns(withColumns, columns) && hasGLQuoteColumns(generated.output)
+      ? mergePartialBack(withColumns, generated.output, columns)
+      : generated.output;
+    result.generation = 'full';
+    result.generatedKeys = rowKeys(result.output, columns);
+    if (logger.debug) {
+      const { missing: missingAfter, totalDataRows } = countMissingGLQuotes(readTsv(result.output).rows, columns);
+      logger.dlog(`Book ${file}: full generation complete; present=${totalDataRows - missingAfter}, missing=${missingAfter}, total=${totalDataRows}`);
+    }
+  } catch (error) {
+    // Handle error from addGLQuoteCols
+    logger.error(`Error processing ${file} with addGLQuoteCols:`, error.message);
+    result.error = error.message;
+    result.errorCode = classifyError(error);
+    if (settings.exitOnError) {
+      return result;
+    }
+
+    // Fallback: Manually add GLQuote columns to TSV
+    logger.log(`Falling back to manual TSV processing for ${file}...`);
+    const idx = getIndexBundle(readTsv(tsvContent).rows[0], columns);
+    if (idx.occ === -1) {
+      // If Occurrence column not found, just use original content
+      logger.log(`Couldn't find 'Occurrence' column in ${file}, using original content`);
+      result.output = tsvContent;
+    } else if (idx.glq !== -1 && idx.glo !== -1) {
+      result.output = tsvContent;
+    } else {
+      result.output = addEmptyGLQuoteColumns(tsvContent, logger, columns);
+    }
+    result.generation = 'fallback';
+  }
+
+  return result;
+}
+
+/**
+ * Collects and logs why the TSV files do not pass --check: invalid structure, failed generation,
+ * rows left without a GL quote, and committed GL quotes that differ from freshly generated ones
+ * @param {object[]} results - Per-file results
+ * @param {object} logger - Logger from createLogger()
+ * @returns {{passed: boolean, failures: {file: string, message: string}[]}}
+ */
+function reportCheck(results, logger) {
+  const failures = [];
+  for (const result of results) {
+    const fail = (message) => failures.push({ file: result.file, message });
+    for (const problem of result.structureProblems) {
+      fail(`Invalid TSV structure at line ${problem.line}: ${problem.message}`);
+    }
+    if (result.error) {
+      fail(`GL quote generation failed: ${result.error}`);
+    }
+    if (result.remainingMissing > 0) {
+      fail(`${result.remainingMissing} row(s) would have no GL quote`);
+    }
+    if (result.changes.length > 0) {
+      const examples = result.changes.slice(0, 5).map((change) => `${change.reference} ${change.id}`).join(', ');
+      fail(`${result.changes.length} committed GL quote(s) differ from freshly generated ones (${examples}${result.changes.length > 5 ? ', ...' : ''})`);
+    }
+  }
+  for (const failure of failures) {
+    logger.error(`Check failed for ${failure.file}: ${failure.message}`);
+  }
+  if (failures.length === 0) {
+    logger.log(`Check passed for ${results.length} TSV file(s)`);
+  }
+  return { passed: failures.length === 0, failures };
+}
+
+/**
+ * Adds GL quote columns to the TSV files of a resource repository: merges the GL quotes of the
+ * previous artifact, generates the missing ones with tsv-quote-converters, and writes the
+ * results to the TSV files and/or a zip file.
+ * @param {object} options
+ * @param {string} [options.workingdir] - Directory where the TSV files are located (default: current directory)
+ * @param {string|false} [options.config] - Config file to read instead of the .glquotesrc or package.json "glQuotes" key of workingdir, or false to read none
+ * @param {string[]} [options.files] - TSV file names to process, relative to workingdir (default: the TSV projects of manifest.yaml, or the files matching glob)
+ * @param {string} [options.glob] - Glob of the TSV files to process when manifest.yaml lists none (default: `**\/*_*.tsv`)
+ * @param {string|string[]} [options.books] - Books to process: USFM book codes, OT, NT or ranges like GEN-DEU (default: all)
+ * @param {string|string[]} [options.excludeBooks] - Books not to process, in the same format as books
+ * @param {boolean} [options.includeUnselected] - Add the TSV files of unselected books to the zip file untouched
+ * @param {string} [options.owner] - Repository owner
+ * @param {string} [options.repo] - Repository name
+ * @param {string} [options.ref] - Git reference (branch/tag)
+ * @param {string|string[]} [options.bibleLinks] - Bible link(s) to use for the GL quotes, e.g. unfoldingWord/en_ult/v84, or labeled ones
+ *   with a column pair each, e.g. "ULT=unfoldingWord/en_ult/master,UST=unfoldingWord/en_ust/master"
+ * @param {string} [options.quoteColumn] - Column to write the GL quotes of an unlabeled Bible to (default: GLQuote)
+ * @param {string} [options.occurrenceColumn] - Column to write the GL occurrences of an unlabeled Bible to (default: GLOccurrence)
+ * @param {string} [options.columnPosition] - Where to add missing GL quote columns: after-occurrence or end (default: after-occurrence)
+ * @param {string} [options.dcsUrl] - DCS URL
+ * @param {string} [options.token] - DCS access token for private repos and artifacts (default: DCS_TOKEN or GITEA_TOKEN environment variable)
+ * @param {boolean} [options.pinBibles] - Resolve the Bibles' refs to commits and generate from those (default: true, except offline)
+ * @param {boolean} [options.refreshOnBibleChange] - Don't reuse previous GL quotes generated from another commit of the Bible
+ * @param {string} [options.artifactsBaseUrl] - Base URL for the artifacts API
+ * @param {string} [options.artifactName] - Pattern of the names of the artifacts with previous GL quotes (default: *_with_gl_quotes)
+ * @param {string|number} [options.artifactId] - ID of the artifact with previous GL quotes, instead of looking for one
+ * @param {string} [options.backupArtifactUrl] - Backup artifact zip URL; {repo} and {ref} are filled in
+ * @param {boolean} [options.useBackupArtifact] - Fall back to the backup artifact URL if the artifacts API fails
+ * @param {string} [options.previous] - Previous GL quotes to merge: a local zip file, a local directory of TSV files or a zip URL (default: latest artifact)
+ * @param {boolean} [options.regenerateAll] - Regenerate all GL quotes
+ * @param {boolean} [options.exitOnError] - Stop at the first file that fails and create no zip file
+ * @param {number} [options.concurrency] - Number of books to process at once (default: 1)
+ * @param {number} [options.timeout] - Seconds to wait for a response of DCS, 0 for no limit (default: 30)
+ * @param {number} [options.retries] - Times to retry requests that failed for a network error, 429 or 5xx (default: 3)
+ * @param {number} [options.retryDelay] - Milliseconds before the first retry, doubled for each next one (default: 1000)
+ * @param {boolean} [options.zip] - Create a zip file instead of overwriting the TSV files
+ * @param {string} [options.outputZipFile] - Output zip file's path, relative to workingdir
+ * @param {string|string[]} [options.zipInclude] - Globs of more non-TSV files to add to the zip file, besides manifest.yaml, README.md and LICENSE.md
+ * @param {boolean|string} [options.zipFolder] - Put the files in a folder of the zip file: the repo name (true) or this name
+ * @param {boolean} [options.tsv] - Also write TSV files when creating a zip file
+ * @param {string} [options.tsvSuffix] - Suffix to add to written TSV file names
+ * @param {boolean} [options.offline] - Never access the network; read Bibles from the resource cache only
+ * @param {string} [options.resourceCache] - Resource cache directory for Bibles and original language texts (default in offline mode: ~/.cache/add-gl-quotes-to-tsv-files/resources)
+ * @param {boolean} [options.quoteCache] - Reuse and remember generated GL quotes across runs (default: true)
+ * @param {string} [options.cacheDir] - Quote cache directory (default: ~/.cache/add-gl-quotes-to-tsv-files/quotes)
+ * @param {boolean} [options.summaryOnly] - Only merge and report the summary; generate and write nothing
+ * @param {boolean} [options.check] - Generate in memory and write nothing; `check.passed` is false if rows would stay without a GL quote, committed GL quotes are outdated or a TSV is invalid
+ * @param {boolean} [options.quiet] - Suppress all output
+ * @param {boolean} [options.verbose] - Verbose output
+ * @param {boolean} [options.debug] - Debug output
+ * @param {object} [options.logger] - Logger from createLogger(), overrides quiet/verbose/debug
+ * @param {boolean} [options.dryRun] - Generate in memory and write no TSV, zip or quote cache files
+ * @param {string|boolean} [options.diff] - Print the GLQuote/GLOccurrence changes (true) or write them to this path
+ * @param {string} [options.diagnostics] - Path of a TSV (or .json) file listing the rows still without a GL quote and why
+ * @param {string} [options.report] - Path of a JSON report of the run to write (see buildReport())
+ * @param {string|false} [options.errorsFile] - Where the command line tool writes errors.json, or false for nowhere (default: ./errors.json)
+ * @returns {Promise<{settings: object, results: object[], errors: {code: string, file: string, error: string}[], warnings: object[], report: object, check: {passed: boolean, failures: object[]}|null, zipFile: string|null, aborted: boolean}>}
+ */
+export async function processTsvFiles(options = {}) {
+  const startedAt = Date.now();
+  let settings = resolveSettings(options, options.logger);
+  // The config file may set quiet, verbose and debug as well
+  const logger = options.logger || createLogger(settings);
+  const errors = [];
+  const warnings = [];
+  const results = [];
+
+  if (!fs.existsSync(settings.workingdir)) {
+    throw new Error(`Working directory ${settings.workingdir} does not exist`);
+  }
+
+  // Process files
+  const projects = settings.files
+    ? settings.files.map((file) => ({ file, bookCode: bookCodeFromFileName(file) }))
+    : findProjectFiles(settings.workingdir, { glob: settings.glob, tsvSuffix: settings.tsvSuffix, logger });
+
+  if (projects.length === 0) {
+    throw new Error('No TSV files found in working directory');
+  }
+
+  const { selected: tsvFiles, unselected } = selectBookFiles(projects, settings);
+  if (unselected.length > 0) {
+    logger.log(`Skipping ${unselected.length} TSV file(s) of unselected books: ${unselected.map((project) => project.file).join(', ')}`);
+  }
+  if (tsvFiles.length === 0) {
+    throw new Error('No TSV files found for the selected books');
+  }
+
+  // Check, dry-run and summary-only modes write no TSV or zip files
+  const writeOutputs = !settings.summaryOnly && !settings.check && !settings.dryRun;
+  const createZip = settings.createZip && writeOutputs;
+
+  if (!settings.offline && !settings.summaryOnly) {
+    settings = await checkManifestBible(settings, logger);
+  }
+  // Pin the Bibles to the commits their refs point at now; generating nothing needs no Bible
+  const bibleVersions = settings.pinBibles && !settings.offline && !settings.summaryOnly
+    ? await pinBibles(settings, logger)
+    : new Map();
+  // tsv-quote-converters fetches the Bibles through the resource server: from the resource cache when
+  // one is used (always in offline mode), and with the timeout and retries of fetchWithRetry()
+  const resourceServer = await startResourceServer({
+    cacheDir: settings.resourceCache,
+    dcsUrl: settings.dcsUrl,
+    offline: settings.offline,
+    http: httpOptions(settings, logger),
+    logger,
+  });
+  const context = {
+    settings,
+    logger,
+    previousCache: createPreviousGLQuotesCache(),
+    dcsUrl: resourceServer.url,
+    bibleVersions,
+  };
+
+  // Books are independent; process up to `concurrency` of them at once. Each book's log lines are
+  // buffered and printed together when it is done, and results keep the order of the files.
+  const bookResults = new Array(tsvFiles.length);
+  let aborted = false;
+  try {
+    await mapWithConcurrency(tsvFiles, settings.concurrency, async (project, i) => {
+      if (aborted) {
+        return;
+      }
+      const { file } = project;
+      const bookLogger = settings.concurrency > 1 ? createBufferedLogger(logger) : logger;
+      let result;
+      try {
+        bookLogger.log(`Processing ${file}...`);
+        result = await processFile(project, { ...context, logger: bookLogger });
+        bookResults[i] = result;
+        if (result.error && settings.exitOnError) {
+          aborted = true;
+          return;
+        }
+
+        // Handle TSV file output
+        if (writeOutputs && settings.writeTsv) {
+          const outputFileName = getOutputFileName(file, settings.tsvSuffix);
+          fs.writeFileSync(path.join(settings.workingdir, outputFileName), result.output, 'utf8');
+          bookLogger.log(`Written TSV file: ${outputFileName}`);
+        }
+      } finally {
+        bookLogger.flush?.();
+      }
+    });
+  } finally {
+    await resourceServer.close();
+  }
+
+  for (const result of bookResults) {
+    if (!result) continue;
+    results.push(result);
+    if (result.error) {
+      errors.push({ code: result.errorCode || classifyError(result.error), file: result.file, error: result.error });
+    }
+    warnings.push(...collectWarnings(result));
+  }
+  warnings.push(...context.previousCache.warnings);
+  if (settings.diff) {
+    outputGLQuoteDiff(results, settings.diff, logger);
+  }
+  if (settings.diagnostics) {
+    writeDiagnostics(results.flatMap((result) => result.diagnostics), settings.diagnostics, logger);
+  }
+  const report = buildReport({ settings, results, errors, warnings, previousCache: context.previousCache, bibleVersions, startedAt, aborted });
+  if (settings.report) {
+    writeReport(report, settings.report, logger);
+  }
+  const check = settings.check ? reportCheck(results, logger) : null;
+  if (aborted) {
+    logger.error('Exiting due to errors and --exit-on-error flag');
+    return { settings, results, errors, warnings, report, check, zipFile: null, aborted: true };
+  }
+
+  // Write zip file if requested, with the files in their order (whatever order the books finished in)
+  if (createZip) {
+    buildZip({ settings, results, unselected, bibleVersions, logger }).writeZip(settings.outputZipFile);
+    logger.log(`Created ${settings.outputZipFile}`);
+  }
+
+  return { settings, results, errors, warnings, report, check, zipFile: createZip ? settings.outputZipFile : null, aborted: false };
+}
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import { bookCodeFromFileName, isProjectCode } from './books.js';
+import { getManifestProjects } from './manifest.js';
+
+/**
+ * Default glob of the TSV files to process when manifest.yaml lists none
+ */
+export const DEFAULT_TSV_GLOB = '**/*_*.tsv';
+
+// Directories never searched for TSV files
+const SKIPPED_DIRS = new Set(['node_modules']);
+
+/**
+ * Converts a glob to a regular expression matching paths relative to the working directory.
+ * Supports `**` (any number of directories), `*`, `?` and `{a,b}`.
+ * @param {string} glob - The glob, e.g. `**\/*_*.tsv` or `tn_*.tsv`
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches zero or more directories, a trailing `**` anything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || SKIPPED_DIRS.has(entry.name)) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Finds the TSV files to process and their book codes. The projects of manifest.yaml whose path is a
+ * TSV file are used when there are any; otherwise the working directory is searched with a glob and
+ * the book code is taken from the file name (e.g. tn_1JN_draft.tsv is 1JN, tn_OBS.tsv is OBS).
+ * @param {string} workingdir - Directory where the TSV files are located
+ * @param {object} [options]
+ * @param {string} [options.glob] - Glob of the TSV files, relative to workingdir (default: DEFAULT_TSV_GLOB)
+ * @param {string} [options.tsvSuffix] - Suffix of written TSV files, which are never picked up again
+ * @param {object} [options.logger] - Logger from createLogger()
+ * @returns {{file: string, bookCode: string}[]} - Files relative to workingdir (with `/` separators) and lowercase book codes
+ */
+export function findProjectFiles(workingdir, { glob, tsvSuffix, logger } = {}) {
+  const fromManifest = getManifestProjects(workingdir)
+    .filter((project) => project.path?.toLowerCase().endsWith('.tsv'))
+    .map((project) => ({
+      file: path.posix.normalize(project.path.replace(/\\/g, '/')).replace(/^\.\//, ''),
+      bookCode: (project.identifier || bookCodeFromFileName(project.path)).toLowerCase(),
+    }));
+  if (fromManifest.length > 0) {
+    return fromManifest.filter((project) => {
+      if (fs.existsSync(path.join(workingdir, project.file))) {
+        return true;
+      }
+      logger?.log(`Skipping ${project.file}: listed in manifest.yaml but not found`);
+      return false;
+    });
+  }
+
+  const pattern = globToRegExp(glob || DEFAULT_TSV_GLOB);
+  const outputSuffix = tsvSuffix ? `_${tsvSuffix}.tsv` : null;
+  const projects = [];
+  for (const file of listFiles(workingdir).sort()) {
+    if (!pattern.test(file) || (outputSuffix && file.endsWith(outputSuffix))) continue;
+    const bookCode = bookCodeFromFileName(file);
+    if (!isProjectCode(bookCode)) {
+      logger?.vlog(`Skipping ${file}: no book code in its file name`);
+      continue;
+    }
+    projects.push({ file, bookCode });
+  }
+  return projects;
+}
+
+/**
+ * Finds the non-TSV files of the working directory matching any of the globs, e.g. the manifest.yaml,
+ * README.md and LICENSE.md to add to the zip file
+ * @param {string} workingdir - Directory to search
+ * @param {string[]} globs - Globs relative to workingdir
+ * @returns {string[]} - Files relative to workingdir (with `/` separators), sorted
+ */
+export function findIncludedFiles(workingdir, globs) {
+  const patterns = globs.map(globToRegExp);
+  return listFiles(workingdir)
+    .filter((file) => !file.toLowerCase().endsWith('.tsv') && patterns.some((pattern) => pattern.test(file)))
+    .sort();
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { DEFAULT_GL_COLUMNS, getIndexBundle, isDataRow, makeRowKey, readTsv, rowNeedsGLQuote, writeTsv } from './tsv.js';
+
+const require = createRequire(import.meta.url);
+const converterVersion = require('tsv-quote-converters/package.json').version;
+
+/*
+ * Persistent cache of generated GL quotes, one JSON file per Bible link and book:
+ *   {cacheDir}/{owner}_{repo}_{ref}/{BOOK}.json
+ * Rows are keyed by makeRowKey() (Reference, ID, Quote, Occurrence). A file written by another
+ * tsv-quote-converters version is ignored, since its alignment results may differ. `bibleCommit` is
+ * the Bible commit the rows were generated from, if the Bible was pinned; a file of another commit is
+ * ignored too.
+ */
+
+function isUsableGLQuote(glq) {
+  return !!glq?.trim() && !glq.includes('QUOTE_NOT_FOUND');
+}
+
+// Reads the rows of a cache file if they were generated from the Bible link and commit, or the commit they were
+// generated from instead
+function readCacheFile(file, bibleLink, bibleCommit) {
+  const read = { rows: new Map(), bibleCommit, staleCommit: null };
+  if (!fs.existsSync(file)) {
+    return read;
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.converterVersion !== converterVersion || data.bibleLink !== bibleLink) {
+      return read;
+    }
+    const rows = new Map(Object.entries(data.rows || {}));
+    if (bibleCommit && rows.size > 0 && data.bibleCommit !== bibleCommit) {
+      // Generated from another (or an unknown) commit of the Bible: rebuilt for this one
+      read.staleCommit = data.bibleCommit ?? 'unknown';
+    } else {
+      read.rows = rows;
+      read.bibleCommit = data.bibleCommit ?? bibleCommit;
+    }
+  } catch (error) {
+    // A corrupt cache file is rebuilt from scratch
+  }
+  return read;
+}
+
+/**
+ * Loads the cached GL quotes of a book
+ * @param {string} cacheDir - Quote cache directory
+ * @param {string[]} bibleLinks - Bible links the GL quotes are generated from
+ * @param {string} bookCode - USFM book code
+ * @param {string|null} [bibleCommit] - Commit the Bible is pinned to; rows of another commit are not used
+ * @returns {{file: string, bibleLink: string, bibleCommit: string|null, staleCommit: string|null, rows: Map<string, string[]>, dirty: boolean}}
+ *   staleCommit is the commit of the rows not used, if any
+ */
+export function loadQuoteCache(cacheDir, bibleLinks, bookCode, bibleCommit = null) {
+  const bibleLink = bibleLinks.join(',');
+  const file = path.join(cacheDir, bibleLink.replace(/[^\w.,-]+/g, '_'), `${bookCode.toUpperCase()}.json`);
+  const read = readCacheFile(file, bibleLink, bibleCommit);
+  return {
+    file,
+    bibleLink,
+    bibleCommit: read.bibleCommit,
+    staleCommit: read.staleCommit,
+    rows: read.rows,
+    // The rows added since loading, and whether the rows on disk are to be dropped, for saveQuoteCache()
+    updates: new Map(),
+    cleared: false,
+    dirty: read.staleCommit !== null,
+  };
+}
+
+/**
+ * Forgets all cached GL quotes, e.g. because the Bible changed since they were generated
+ * @param {object} cache - Cache from loadQuoteCache()
+ * @param {string|null} bibleCommit - Commit the Bible is pinned to now
+ */
+export function clearQuoteCache(cache, bibleCommit) {
+  cache.rows.clear();
+  cache.updates.clear();
+  cache.bibleCommit = bibleCommit;
+  cache.cleared = true;
+  cache.dirty = true;
+}
+
+/**
+ * Fills the GLQuote/GLOccurrence of rows that still need one from the cache
+ * @param {string} tsvContent - TSV content with GL quote columns
+ * @param {object} cache - Cache from loadQuoteCache()
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {{output: string, hits: number}}
+ */
+export function applyQuoteCache(tsvContent, cache, columns = DEFAULT_GL_COLUMNS) {
+  const tsv = readTsv(tsvContent);
+  const { rows } = tsv;
+  const idx = getIndexBundle(rows[0], columns);
+  if (idx.glq === -1 || idx.glo === -1 || cache.rows.size === 0) {
+    return { output: tsvContent, hits: 0 };
+  }
+  let hits = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (!isDataRow(r) || !rowNeedsGLQuote(r, idx)) continue;
+    const cached = cache.rows.get(makeRowKey(r, idx));
+    if (!cached) continue;
+    r[idx.glq] = cached[0];
+    r[idx.glo] = cached[1];
+    hits++;
+  }
+  return { output: hits ? writeTsv(tsv) : tsvContent, hits };
+}
+
+/**
+ * Remembers the usable GL quotes of the rows generated in a run. GL quotes taken from the TSV itself,
+ * the previous GL quotes or the cache are not generated from the current Bible, so they are left out.
+ * @param {object} cache - Cache from loadQuoteCache()
+ * @param {string} tsvContent - TSV content with GL quote columns
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @param {Set<string>} [generatedKeys] - Keys of the generated rows, see makeRowKey() (default: all rows)
+ * @returns {number} - Number of rows added or changed
+ */
+export function updateQuoteCache(cache, tsvContent, columns = DEFAULT_GL_COLUMNS, generatedKeys = null) {
+  const { rows } = readTsv(tsvContent);
+  const idx = getIndexBundle(rows[0], columns);
+  if (idx.glq === -1 || idx.glo === -1) {
+    return 0;
+  }
+  let changed = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (!isDataRow(r) || !isUsableGLQuote(r[idx.glq])) continue;
+    const key = makeRowKey(r, idx);
+    if (generatedKeys && !generatedKeys.has(key)) continue;
+    const cached = cache.rows.get(key);
+    const value = [r[idx.glq], r[idx.glo] ?? ''];
+    if (cached && cached[0] === value[0] && cached[1] === value[1]) continue;
+    cache.rows.set(key, value);
+    cache.updates.set(key, value);
+    changed++;
+  }
+  cache.dirty = cache.dirty || changed > 0;
+  return changed;
+}
+
+/**
+ * Writes the cache back to disk if it changed, adding its updates to the rows on disk
+ * @param {object} cache - Cache from loadQuoteCache()
+ */
+export function saveQuoteCache(cache) {
+  if (!cache.dirty) {
+    return;
+  }
+  // The TSV files of a book, e.g. its tn and tq, share the cache file and may be processed at the same
+  // time, so another one may have saved rows since this cache was loaded. Reading and writing without
+  // awaiting anything in between keeps them.
+  if (!cache.cleared) {
+    cache.rows = readCacheFile(cache.file, cache.bibleLink, cache.bibleCommit).rows;
+    for (const [key, value] of cache.updates) {
+      cache.rows.set(key, value);
+    }
+  }
+  fs.mkdirSync(path.dirname(cache.file), { recursive: true });
+  const data = {
+    bibleLink: cache.bibleLink,
+    bibleCommit: cache.bibleCommit ?? null,
+    converterVersion,
+    updated: new Date().toISOString(),
+    rows: Object.fromEntries(cache.rows),
+  };
+  // Write to a temp file first so an interrupted run never leaves a truncated cache
+  const tmpFile = `${cache.file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data), 'utf8');
+  fs.renameSync(tmpFile, cache.file);
+  cache.updates.clear();
+  cache.cleared = false;
+  cache.dirty = false;
+}
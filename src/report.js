@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { listBibleVersions } from './versions.js';
+
+const require = createRequire(import.meta.url);
+const { version } = require('../package.json');
+const converterVersion = require('tsv-quote-converters/package.json').version;
+
+/**
+ * Builds the JSON report of a run from the per-file results of processTsvFiles()
+ * @param {object} run
+ * @param {object} run.settings - Resolved settings from resolveSettings()
+ * @param {object[]} run.results - Per-file results
+ * @param {{code: string, file: string, error: string}[]} run.errors - The errors of the run
+ * @param {object[]} [run.warnings] - The warnings of the run
+ * @param {object} [run.previousCache] - Cache from createPreviousGLQuotesCache(), for the artifact used
+ * @param {Map<string, object>} [run.bibleVersions] - Versions the Bibles were pinned to, from pinBibles()
+ * @param {number} run.startedAt - Start time of the run, in ms since the epoch
+ * @param {boolean} [run.aborted] - Whether the run stopped at an error
+ * @returns {object} - The report
+ */
+export function buildReport({ settings, results, errors, warnings = [], previousCache, bibleVersions, startedAt, aborted = false }) {
+  const books = results.map((result) => ({
+    file: result.file,
+    bookCode: result.bookCode.toUpperCase(),
+    rows: result.rows,
+    existing: result.existingCount,
+    matched: result.matchedCount,
+    matchedByTier: result.matchedByTier,
+    quoteCacheHits: result.quoteCacheHits,
+    toGenerate: result.missingCount,
+    generation: result.generation,
+    generated: result.generatedCount,
+    stillMissing: result.remainingMissing,
+    quoteNotFound: result.quoteNotFound,
+    fallback: result.generation === 'fallback',
+    error: result.error,
+    errorCode: result.errorCode ?? null,
+    durationMs: result.durationMs,
+    bibles: (result.bibles || [result]).map((bibleResult) => ({
+      label: bibleResult.label ?? null,
+      bibleLink: bibleResult.bibleLink ?? settings.bibleLinks[0],
+      commit: bibleResult.bibleCommit ?? null,
+      quoteColumn: bibleResult.columns?.glQuote ?? settings.columns.glQuote,
+      occurrenceColumn: bibleResult.columns?.glOccurrence ?? settings.columns.glOccurrence,
+      existing: bibleResult.existingCount,
+      matched: bibleResult.matchedCount,
+      quoteCacheHits: bibleResult.quoteCacheHits,
+      toGenerate: bibleResult.missingCount,
+      generation: bibleResult.generation,
+      generated: bibleResult.generatedCount,
+      stillMissing: bibleResult.remainingMissing,
+      quoteNotFound: bibleResult.quoteNotFound,
+    })),
+  }));
+  const sum = (key) => books.reduce((total, book) => total + (book[key] || 0), 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    version,
+    converterVersion,
+    owner: settings.owner,
+    repo: settings.repo,
+    ref: settings.ref,
+    bibleLinks: settings.bibleLinks,
+    bibles: listBibleVersions(settings, bibleVersions),
+    previous: {
+      source: settings.previous || previousCache?.zipUrl || null,
+      artifact: previousCache?.artifactMeta || null,
+    },
+    aborted,
+    totals: {
+      books: books.length,
+      rows: sum('rows'),
+      existing: sum('existing'),
+      matched: sum('matched'),
+      quoteCacheHits: sum('quoteCacheHits'),
+      toGenerate: sum('toGenerate'),
+      generated: sum('generated'),
+      stillMissing: sum('stillMissing'),
+      quoteNotFound: sum('quoteNotFound'),
+      fallbacks: books.filter((book) => book.fallback).length,
+      errors: errors.length,
+      warnings: warnings.length,
+    },
+    books,
+  };
+}
+
+/**
+ * Writes a report from buildReport() as JSON
+ * @param {object} report - The report
+ * @param {string} filePath - Path of the JSON file
+ * @param {object} [logger] - Logger from createLogger()
+ * @returns {string} - The path written to
+ */
+export function writeReport(report, filePath, logger) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2), 'utf8');
+  logger?.log(`Written report: ${filePath}`);
+  return filePath;
+}
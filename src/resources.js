@@ -0,0 +1,262 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { BOOKS, getBook, getOriginalLanguageRepo } from './books.js';
+import { fetchWithRetry } from './http.js';
+
+/**
+ * Default directory for the tool's caches: $XDG_CACHE_HOME or ~/.cache
+ * @param {...string} segments - Sub directories
+ * @returns {string}
+ */
+export function defaultCacheDir(...segments) {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'add-gl-quotes-to-tsv-files', ...segments);
+}
+
+/*
+ * The resource cache mirrors the two DCS API calls tsv-quote-converters makes per book:
+ *   {cacheDir}/{owner}/{repo}/repo.json        <- /api/v1/repos/{owner}/{repo}
+ *   {cacheDir}/{owner}/{repo}/{ref}/{file}      <- /api/v1/repos/{owner}/{repo}/contents/{file}?ref={ref}
+ * USFM files are stored as plain text, repo.json as the API returned it.
+ */
+
+function safeSegment(segment) {
+  if (!segment || segment === '.' || segment === '..' || segment.includes('/') || segment.includes('\\')) {
+    throw new Error(`Invalid path segment: ${segment}`);
+  }
+  return segment;
+}
+
+function repoInfoPath(cacheDir, owner, repo) {
+  return path.join(cacheDir, safeSegment(owner), safeSegment(repo), 'repo.json');
+}
+
+function contentPath(cacheDir, owner, repo, ref, file) {
+  return path.join(cacheDir, safeSegment(owner), safeSegment(repo), safeSegment(ref), safeSegment(file));
+}
+
+function writeCacheFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function responseError(message, res) {
+  const error = new Error(`${message}: ${res.status} ${res.statusText}`);
+  error.status = res.status;
+  return error;
+}
+
+async function fetchRepoInfo(dcsUrl, owner, repo, requestOptions) {
+  const res = await fetchWithRetry(`${dcsUrl}/api/v1/repos/${owner}/${repo}`, requestOptions);
+  if (!res.ok) {
+    throw responseError(`Failed to fetch repo ${owner}/${repo}`, res);
+  }
+  return res.text();
+}
+
+async function fetchContent(dcsUrl, owner, repo, ref, file, requestOptions) {
+  const res = await fetchWithRetry(`${dcsUrl}/api/v1/repos/${owner}/${repo}/contents/${file}?ref=${encodeURIComponent(ref)}`, requestOptions);
+  if (!res.ok) {
+    throw responseError(`Failed to fetch ${owner}/${repo}/${file}@${ref}`, res);
+  }
+  const data = await res.json();
+  return Buffer.from(data.content, 'base64').toString('utf8');
+}
+
+/**
+ * Gets the repo info (as returned by the DCS API) from the cache, fetching and storing it unless offline.
+ * Without a cache directory it is always fetched.
+ * @returns {Promise<string|null>} - The repo JSON text, or null if not available
+ */
+async function getRepoInfo({ cacheDir, dcsUrl, offline, requestOptions }, owner, repo) {
+  const filePath = cacheDir && repoInfoPath(cacheDir, owner, repo);
+  if (filePath && fs.existsSync(filePath)) {
+    return fs.readFileSync(filePath, 'utf8');
+  }
+  if (offline) {
+    return null;
+  }
+  const text = await fetchRepoInfo(dcsUrl, owner, repo, requestOptions);
+  if (filePath) {
+    writeCacheFile(filePath, text);
+  }
+  return text;
+}
+
+/**
+ * Gets a file of a repo from the cache, fetching and storing it unless offline. Without a cache
+ * directory it is always fetched.
+ * @returns {Promise<string|null>} - The file's content, or null if not available
+ */
+async function getContent({ cacheDir, dcsUrl, offline, requestOptions }, owner, repo, ref, file) {
+  const filePath = cacheDir && contentPath(cacheDir, owner, repo, ref, file);
+  if (filePath && fs.existsSync(filePath)) {
+    return fs.readFileSync(filePath, 'utf8');
+  }
+  if (offline) {
+    return null;
+  }
+  const content = await fetchContent(dcsUrl, owner, repo, ref, file, requestOptions);
+  if (filePath) {
+    writeCacheFile(filePath, content);
+  }
+  return content;
+}
+
+/**
+ * Fetches the original language text and the aligned Bible of a book from a DCS API, like tsv-quote-converters
+ * does. Pass the resource server's URL to read them from the resource cache.
+ * @param {string} dcsUrl - DCS URL
+ * @param {string} bibleLink - Bible link, e.g. unfoldingWord/en_ult/master
+ * @param {string} bookCode - USFM book code
+ * @param {object} [requestOptions] - Options of fetchWithRetry(), from httpOptions()
+ * @returns {Promise<{original: string, target: string}>} - The USFM texts
+ */
+export async function fetchBookUsfm(dcsUrl, bibleLink, bookCode, requestOptions) {
+  const book = getBook(bookCode);
+  if (!book) {
+    throw new Error(`Unknown book code: ${bookCode}`);
+  }
+  const origRepo = getOriginalLanguageRepo(book.code);
+  let origRef = 'master';
+  try {
+    origRef = JSON.parse(await fetchRepoInfo(dcsUrl, 'unfoldingWord', origRepo, requestOptions))?.catalog?.prod?.branch_or_tag_name || 'master';
+  } catch (error) {
+    // Same fallback as tsv-quote-converters
+  }
+  const [owner, repo, ref = 'master'] = bibleLink.split('/');
+  const file = `${book.usfm}.usfm`;
+  const [original, target] = await Promise.all([
+    fetchContent(dcsUrl, 'unfoldingWord', origRepo, origRef, file, requestOptions),
+    fetchContent(dcsUrl, owner, repo, ref, file, requestOptions),
+  ]);
+  return { original, target };
+}
+
+/**
+ * Starts a local HTTP server answering the DCS API calls of tsv-quote-converters from the resource
+ * cache. Pass its `url` as the dcsUrl of addGLQuoteCols(). Unless offline, resources missing from
+ * the cache are fetched from the real DCS and stored. Without a cache directory every call is passed
+ * on to the real DCS, so it gets the timeout and retries of fetchWithRetry().
+ * @param {object} options
+ * @param {string|null} options.cacheDir - Resource cache directory, or null for none
+ * @param {string} options.dcsUrl - Real DCS URL to fetch missing resources from
+ * @param {boolean} [options.offline] - Never fetch; answer 404 for resources missing from the cache
+ * @param {object} [options.http] - Options of fetchWithRetry(), from httpOptions()
+ * @param {object} options.logger - Logger from createLogger()
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export async function startResourceServer({ cacheDir, dcsUrl, offline = false, http: requestOptions, logger }) {
+  const source = { cacheDir, dcsUrl, offline, requestOptions };
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (parts[0] !== 'api' || parts[1] !== 'v1' || parts[2] !== 'repos' || parts.length < 5) {
+        return send(404, { message: 'Not found' });
+      }
+      const [owner, repo] = parts.slice(3, 5);
+      if (parts.length === 5) {
+        const info = await getRepoInfo(source, owner, repo);
+        if (!info) {
+          logger.vlog(`Resource cache: repo ${owner}/${repo} not cached`);
+          return send(404, { message: 'Not found in resource cache' });
+        }
+        return send(200, info);
+      }
+      if (parts[5] === 'contents' && parts.length === 7) {
+        const ref = url.searchParams.get('ref') || 'master';
+        const content = await getContent(source, owner, repo, ref, parts[6]);
+        if (content === null) {
+          logger.log(`Resource cache: ${owner}/${repo}/${parts[6]}@${ref} not cached`);
+          return send(404, { message: 'Not found in resource cache' });
+        }
+        return send(200, { name: parts[6], encoding: 'base64', content: Buffer.from(content, 'utf8').toString('base64') });
+      }
+      return send(404, { message: 'Not found' });
+    } catch (error) {
+      logger.error(`Resource cache: ${req.url}: ${error.message}`);
+      // A resource DCS doesn't have is as missing as one that isn't cached
+      return send(error.status === 404 ? 404 : 502, { message: error.message });
+    }
+  });
+
+  // tsv-quote-converters fetches with Node's fetch, which ignores the proxy variables, so it reaches
+  // the server directly; the server itself fetches from DCS through the proxy
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address();
+  logger.dlog(`Resource ${cacheDir ? `cache server for ${cacheDir}` : `server for ${dcsUrl}`} listening on port ${port}${offline ? ' (offline)' : ''}`);
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+/**
+ * Downloads the aligned Bibles and original language texts of the given books into the resource cache
+ * @param {object} options
+ * @param {string} options.cacheDir - Resource cache directory
+ * @param {string} options.dcsUrl - DCS URL to fetch from
+ * @param {string[]} options.bibleLinks - Bible links, e.g. unfoldingWord/en_ult/master
+ * @param {string[]} [options.books] - USFM book codes (default: all books)
+ * @param {object} [options.http] - Options of fetchWithRetry(), from httpOptions()
+ * @param {object} options.logger - Logger from createLogger()
+ * @returns {Promise<{fetched: string[], errors: {file: string, error: string}[]}>}
+ */
+export async function prefetchResources({ cacheDir, dcsUrl, bibleLinks, books, http: requestOptions, logger }) {
+  const source = { cacheDir, dcsUrl, offline: false, requestOptions };
+  const fetched = [];
+  const errors = [];
+  const bookList = books?.length ? books.map((code) => {
+    const book = getBook(code);
+    if (!book) {
+      throw new Error(`Unknown book code: ${code}`);
+    }
+    return book;
+  }) : BOOKS;
+
+  // The original language repos are read at the ref of their production catalog entry
+  const origRefs = {};
+  for (const origRepo of new Set(bookList.map((book) => getOriginalLanguageRepo(book.code)))) {
+    try {
+      const info = JSON.parse(await getRepoInfo(source, 'unfoldingWord', origRepo));
+      origRefs[origRepo] = info?.catalog?.prod?.branch_or_tag_name || 'master';
+    } catch (error) {
+      logger.error(`Unable to fetch data for unfoldingWord/${origRepo}, using master branch: ${error.message}`);
+      origRefs[origRepo] = 'master';
+    }
+  }
+
+  for (const book of bookList) {
+    const origRepo = getOriginalLanguageRepo(book.code);
+    const targets = [['unfoldingWord', origRepo, origRefs[origRepo]]];
+    for (const bibleLink of bibleLinks) {
+      const [owner, repo, ref = 'master'] = bibleLink.split('/');
+      targets.push([owner, repo, ref]);
+    }
+    for (const [owner, repo, ref] of targets) {
+      const file = `${book.usfm}.usfm`;
+      const label = `${owner}/${repo}/${file}@${ref}`;
+      try {
+        await getContent(source, owner, repo, ref, file);
+        fetched.push(label);
+        logger.log(`Cached ${label}`);
+      } catch (error) {
+        logger.error(`Failed to cache ${label}: ${error.message}`);
+        errors.push({ file: label, error: error.message });
+      }
+    }
+  }
+
+  return { fetched, errors };
+}
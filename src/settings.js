@@ -0,0 +1,240 @@
+import path from 'path';
+import { getGitInfo } from './git.js';
+import { getBibleCandidates, getTargetBibleLink } from './manifest.js';
+import { defaultCacheDir } from './resources.js';
+import { isUrl } from './previous.js';
+import { parseBookSelection } from './books.js';
+import { DEFAULT_GL_COLUMNS, GL_COLUMN_POSITIONS } from './tsv.js';
+import { loadConfig, mergeConfig } from './config.js';
+import { DEFAULT_ZIP_INCLUDE } from './zip.js';
+import { DEFAULT_HTTP_OPTIONS } from './http.js';
+
+const RESOLVED = Symbol('resolvedSettings');
+
+function nonNegativeNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !(number >= 0) ? fallback : number;
+}
+
+/**
+ * Parses the Bibles to generate GL quotes from: comma separated Bible links, each optionally labeled,
+ * e.g. "ULT=unfoldingWord/en_ult/master,UST=unfoldingWord/en_ust/master". A labeled Bible writes to its
+ * own {label}Quote/{label}Occurrence columns; an unlabeled one to the configured GL quote columns.
+ * @param {string|string[]} value - Bible link(s)
+ * @param {object} columns - The configured GL quote columns
+ * @returns {{label: string|null, bibleLink: string, columns: object}[]}
+ */
+function parseBibles(value, columns) {
+  const entries = (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const bibles = entries.map((entry) => {
+    const match = entry.match(/^([A-Za-z][\w-]*)=(.+)$/);
+    const label = match ? match[1] : null;
+    return {
+      label,
+      bibleLink: match ? match[2].trim() : entry,
+      columns: label ? { ...columns, glQuote: `${label}Quote`, glOccurrence: `${label}Occurrence` } : columns,
+    };
+  });
+  if (bibles.filter((bible) => !bible.label).length > 1) {
+    throw new Error('Label the Bibles to write their GL quotes to separate columns, e.g. ULT=unfoldingWord/en_ult/master,UST=unfoldingWord/en_ust/master');
+  }
+  const names = bibles.flatMap((bible) => [bible.columns.glQuote, bible.columns.glOccurrence]);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`More than one Bible would write to the ${duplicate} column`);
+  }
+  return bibles;
+}
+
+/**
+ * Resolves the per-book overrides of a config file: books mapped to their own Bible(s) and exclusion
+ * @param {object} [overrides] - Book selections (e.g. "PSA" or "GEN-DEU") mapped to {bibleLinks, exclude}
+ * @param {object} columns - The configured GL quote columns
+ * @returns {{bibles: Map<string, object[]>, excluded: Set<string>}}
+ */
+function resolveBookOverrides(overrides, columns) {
+  const bibles = new Map();
+  const excluded = new Set();
+  for (const [selection, override] of Object.entries(overrides || {})) {
+    const books = parseBookSelection(selection);
+    const bookBibles = override.bibleLinks ? parseBibles(override.bibleLinks, columns) : null;
+    for (const code of books || []) {
+      if (override.exclude) excluded.add(code);
+      if (bookBibles) bibles.set(code, bookBibles);
+    }
+  }
+  return { bibles, excluded };
+}
+
+/**
+ * Resolves the run settings. Priority for each parameter:
+ * 1. Given options (command line arguments)
+ * 2. The config file in the working directory, see loadConfig()
+ * 3. GitHub Actions environment variables
+ * 4. Git repository information of the working directory
+ * @param {object} options - See processTsvFiles() for the supported options
+ * @param {object} [logger] - Logger from createLogger()
+ * @returns {object} - The resolved settings
+ */
+export function resolveSettings(options = {}, logger) {
+  if (options[RESOLVED]) {
+    return options;
+  }
+
+  const workingdir = path.resolve(options.workingdir || process.cwd());
+  // options.config is a config file path, false for none, or a config from loadConfig()
+  const config = options.config && typeof options.config === 'object'
+    ? options.config
+    : loadConfig(workingdir, options.config);
+  options = mergeConfig(options, config);
+  const gitInfo = getGitInfo(workingdir);
+  const ghOwner = process.env.GITHUB_REPOSITORY?.split('/')[0];
+  const ghRepo = process.env.GITHUB_REPOSITORY?.split('/')[1];
+
+  // Prioritize sources
+  const owner = options.owner || ghOwner || gitInfo.owner || 'unfoldingWord';
+  const repo = options.repo || ghRepo || gitInfo.repo || path.basename(workingdir) || 'unknown';
+  const ref = options.ref || process.env.GITHUB_REF_NAME || gitInfo.ref || 'master';
+  const dcsUrl = options.dcsUrl || process.env.GITHUB_SERVER_URL || gitInfo.dcsUrl || 'https://git.door43.org';
+  // A Bible picked from the manifest.yaml relations is checked against DCS before generating
+  const bibleFromManifest = !options.bibleLinks && !process.env.BIBLE_LINK;
+  const targetBibleLink =
+    options.bibleLinks ||
+    process.env.BIBLE_LINK ||
+    getTargetBibleLink(workingdir, owner, logger) ||
+    (owner === 'unfoldingWord' ? `${owner}/${repo.split('_')[0]}_ult/master` : `${owner}/${repo.split('_')[0]}_glt/master`);
+
+  // Normalize artifacts base URL (strip trailing slashes)
+  const artifactsBaseUrl = (options.artifactsBaseUrl || 'https://git.door43.org').replace(/\/+$/, '');
+
+  // Compute backup artifact URL (default depends on repo name); {repo} and {ref} are filled in
+  const backupArtifactUrl = ((options.backupArtifactUrl && options.backupArtifactUrl.trim().length > 0)
+    ? options.backupArtifactUrl
+    : 'https://cdn.door43.org/dcs/{repo}_master_with_gl_quotes.zip')
+    .replaceAll('{repo}', repo)
+    .replaceAll('{ref}', ref);
+
+  // Previous GL quotes source: a local zip file or directory, or a zip URL
+  const previous = options.previous
+    ? (isUrl(options.previous) ? options.previous : path.resolve(options.previous))
+    : null;
+
+  // Determine output behavior based on flags
+  const tsvSuffix = options.tsvSuffix || '';
+  const createZip = !!(options.zip || options.outputZipFile); // Default behavior if zip or outputZipFile is specified
+  const writeTsv = !options.zip || !!options.tsv || !!tsvSuffix; // Default behavior unless zip is specified without tsv
+  const outputZipFile = path.resolve(workingdir, options.outputZipFile || `${repo}_${ref}_with_gl_quotes.zip`);
+  // Non-TSV files to add to the zip file, and the folder to put everything in (true: the repo name)
+  const zipInclude = [...DEFAULT_ZIP_INCLUDE, ...[options.zipInclude || []].flat().flatMap((glob) => String(glob).split(',')).map((glob) => glob.trim()).filter(Boolean)];
+  const zipFolder = (options.zipFolder === true || options.zipFolder === '' ? repo : options.zipFolder || '').replace(/^\/+|\/+$/g, '') || null;
+
+  // Offline mode always reads the Bibles from a resource cache
+  const offline = !!options.offline;
+  const resourceCache = options.resourceCache
+    ? path.resolve(options.resourceCache)
+    : offline ? defaultCacheDir('resources') : null;
+
+  // Names and placement of the GL quote columns
+  const columns = {
+    glQuote: options.quoteColumn || DEFAULT_GL_COLUMNS.glQuote,
+    glOccurrence: options.occurrenceColumn || DEFAULT_GL_COLUMNS.glOccurrence,
+    position: options.columnPosition || DEFAULT_GL_COLUMNS.position,
+  };
+  if (!GL_COLUMN_POSITIONS.includes(columns.position)) {
+    throw new Error(`Invalid column position ${columns.position}: must be one of ${GL_COLUMN_POSITIONS.join(', ')}`);
+  }
+  if (columns.glQuote === columns.glOccurrence) {
+    throw new Error(`The GL quote and GL occurrence columns must have different names, both are ${columns.glQuote}`);
+  }
+
+  // One pair of GL quote columns per Bible, unless the config file overrides the Bibles of a book
+  const bibles = parseBibles(targetBibleLink, columns);
+  const bookOverrides = resolveBookOverrides(options.overrides, columns);
+  const bibleLinks = [...new Set([...bibles, ...[...bookOverrides.bibles.values()].flat()].map((bible) => bible.bibleLink))];
+  const excludeBooks = options.excludeBooks instanceof Set ? options.excludeBooks : parseBookSelection(options.excludeBooks);
+
+  // Generated GL quotes are remembered across runs unless disabled
+  const quoteCacheDir = options.quoteCache === false
+    ? null
+    : path.resolve(options.cacheDir || defaultCacheDir('quotes'));
+
+  return {
+    [RESOLVED]: true,
+    workingdir,
+    config: config ? config.file : null,
+    configOptions: config ? config.options : null,
+    files: options.files || null,
+    glob: options.glob || null,
+    books: options.books instanceof Set ? options.books : parseBookSelection(options.books),
+    excludeBooks: bookOverrides.excluded.size > 0 ? new Set([...(excludeBooks || []), ...bookOverrides.excluded]) : excludeBooks,
+    includeUnselected: !!options.includeUnselected,
+    owner,
+    repo,
+    ref,
+    dcsUrl,
+    bibleLinks,
+    bibles,
+    bookBibles: bookOverrides.bibles,
+    bibleCandidates: bibleFromManifest ? getBibleCandidates(workingdir, owner)?.candidates || null : null,
+    columns,
+    pinBibles: options.pinBibles !== false,
+    refreshOnBibleChange: !!options.refreshOnBibleChange,
+    artifactsBaseUrl,
+    artifactName: options.artifactName || null,
+    artifactId: options.artifactId ? String(options.artifactId) : null,
+    backupArtifactUrl,
+    useBackupArtifact: !!options.useBackupArtifact,
+    previous,
+    regenerateAll: !!options.regenerateAll,
+    exitOnError: !!options.exitOnError,
+    concurrency: Math.max(1, parseInt(options.concurrency, 10) || 1),
+    // Of the requests to DCS, see fetchWithRetry()
+    http: Object.defineProperty({
+      timeout: nonNegativeNumber(options.timeout, DEFAULT_HTTP_OPTIONS.timeout),
+      retries: Math.floor(nonNegativeNumber(options.retries, DEFAULT_HTTP_OPTIONS.retries)),
+      retryDelay: nonNegativeNumber(options.retryDelay, DEFAULT_HTTP_OPTIONS.retryDelay),
+    }, 'token', {
+      // Not enumerable, so logging or serializing the settings never shows it
+      value: options.token || process.env.DCS_TOKEN || process.env.GITEA_TOKEN || null,
+    }),
+    createZip,
+    writeTsv,
+    tsvSuffix,
+    outputZipFile,
+    zipInclude,
+    zipFolder,
+    offline,
+    resourceCache,
+    quoteCacheDir,
+    quiet: !!options.quiet,
+    verbose: !!options.verbose,
+    debug: !!options.debug,
+    summaryOnly: !!options.summaryOnly,
+    check: !!options.check,
+    dryRun: !!options.dryRun,
+    // true prints the diff, a path writes it to that file
+    diff: (options.diff === true || options.diff === '') ? true : options.diff ? path.resolve(options.diff) : false,
+    report: options.report ? path.resolve(options.report) : null,
+    // Where the command line tool writes the errors and warnings of a run; false for nowhere. The
+    // default is outside the content repo unless run from it, and only written if there are errors
+    errorsFile: options.errorsFile === false ? null : path.resolve(options.errorsFile || 'errors.json'),
+    errorsFileGiven: Boolean(options.errorsFile),
+    diagnostics: options.diagnostics ? path.resolve(options.diagnostics) : null,
+  };
+}
+
+/**
+ * The settings with another Bible in place of the resolved one, e.g. the manifest.yaml Bible picked by
+ * selectManifestBible()
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {string} bibleLink - Bible link(s), as for the bibleLinks option
+ * @returns {object} - The new settings
+ */
+export function withBibleLink(settings, bibleLink) {
+  const bibles = parseBibles(bibleLink, settings.columns);
+  const bibleLinks = [...new Set([...bibles, ...[...settings.bookBibles.values()].flat()].map((bible) => bible.bibleLink))];
+  return { ...settings, bibles, bibleLinks };
+}
@@ -0,0 +1,366 @@
+/**
+ * Parses TSV content into rows of cells, remembering its BOM and the line ending of every line, so
+ * writeTsv() reproduces the input byte for byte outside the cells that were changed. Rows are kept
+ * as they are: blank lines stay single empty cells, and ragged rows keep their number of cells.
+ * @param {string} content - The TSV content
+ * @returns {{rows: string[][], bom: boolean, eols: string[]}} - eols[i] is the line ending after rows[i] ('' for a last line without one)
+ */
+export function readTsv(content) {
+  const bom = content.startsWith('\uFEFF');
+  const text = bom ? content.slice(1) : content;
+  const rows = [];
+  const eols = [];
+  let start = 0;
+  for (;;) {
+    const nl = text.indexOf('\n', start);
+    if (nl === -1) {
+      rows.push(text.slice(start).split('\t'));
+      eols.push('');
+      break;
+    }
+    const crlf = nl > start && text[nl - 1] === '\r';
+    rows.push(text.slice(start, crlf ? nl - 1 : nl).split('\t'));
+    eols.push(crlf ? '\r\n' : '\n');
+    start = nl + 1;
+    // A trailing newline ends the last row rather than starting an empty one
+    if (start === text.length) break;
+  }
+  return { rows, bom, eols };
+}
+
+/**
+ * Writes rows parsed by readTsv() back with their original BOM and line endings
+ * @param {{rows: string[][], bom: boolean, eols: string[]}} tsv - The parsed TSV
+ * @returns {string} - The TSV content
+ */
+export function writeTsv({ rows, bom, eols }) {
+  return (bom ? '\uFEFF' : '') + rows.map((row, i) => row.join('\t') + (eols[i] ?? '')).join('');
+}
+
+/**
+ * Whether a parsed row is a data row rather than a blank line
+ * @param {string[]} row - The parsed row
+ * @returns {boolean}
+ */
+export function isDataRow(row) {
+  return row.length > 1;
+}
+
+/**
+ * Names and placement of the GL quote columns: after the Occurrence column, or at the end of the rows
+ */
+export const DEFAULT_GL_COLUMNS = Object.freeze({ glQuote: 'GLQuote', glOccurrence: 'GLOccurrence', position: 'after-occurrence' });
+
+export const GL_COLUMN_POSITIONS = ['after-occurrence', 'end'];
+
+/**
+ * Prepares TSV content for tsv-quote-converters, which needs LF line endings, no BOM and rows with
+ * as many cells as the header: blank lines are left out and ragged rows padded or cut. It only knows
+ * GLQuote/GLOccurrence, so configured GL quote columns are passed under those names, leaving out other
+ * columns that have them. Its output is merged back into the original content with mergePartialBack(),
+ * so none of this ends up in the files.
+ * @param {string} tsvContent - The TSV content
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {string}
+ */
+export function toConverterTsv(tsvContent, columns = DEFAULT_GL_COLUMNS) {
+  const { rows } = readTsv(tsvContent);
+  const headers = rows[0];
+  const width = headers.length;
+  const idx = getIndexBundle(headers, columns);
+  const converterNames = [DEFAULT_GL_COLUMNS.glQuote, DEFAULT_GL_COLUMNS.glOccurrence];
+  const keep = headers.map((header, i) => i === idx.glq || i === idx.glo || !converterNames.includes(header));
+  const converterHeaders = headers.map((header, i) => (i === idx.glq ? converterNames[0] : i === idx.glo ? converterNames[1] : header));
+  return [converterHeaders, ...rows.slice(1).filter(isDataRow)]
+    .map((row) => (row.length === width ? row : [...row, ...new Array(Math.max(0, width - row.length)).fill('')].slice(0, width)))
+    .map((row) => row.filter((cell, i) => keep[i]).join('\t'))
+    .join('\n');
+}
+
+/**
+ * Finds the column indices the pipeline works with
+ * @param {string[]} headers - The TSV header row
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {{ref: number, id: number, quote: number, occ: number, glq: number, glo: number}}
+ */
+export function getIndexBundle(headers, columns = DEFAULT_GL_COLUMNS) {
+  const idx = {
+    ref: headers.indexOf('Reference'),
+    id: headers.indexOf('ID'),
+    quote: headers.indexOf('Quote'),
+    occ: headers.indexOf('Occurrence'),
+    glq: headers.indexOf(columns.glQuote),
+    glo: headers.indexOf(columns.glOccurrence)
+  };
+  if (idx.quote === -1) idx.quote = headers.indexOf('OrigQuote');
+  if (idx.quote === -1) idx.quote = headers.indexOf('OrigWords');
+  return idx;
+}
+
+export function makeRowKey(row, idx) {
+  const parts = [];
+  if (idx.ref >= 0) parts.push(row[idx.ref] ?? '');
+  if (idx.id >= 0) parts.push(row[idx.id] ?? '');
+  if (idx.quote >= 0) parts.push(row[idx.quote] ?? '');
+  if (idx.occ >= 0) parts.push(row[idx.occ] ?? '');
+  return parts.join('\u241F'); // unit separator-like char to reduce collisions
+}
+
+/**
+ * Whether a row still needs a GL quote generated: it has a quote and a non-zero occurrence,
+ * but its GLQuote is empty or QUOTE_NOT_FOUND, or its own quote is QUOTE_NOT_FOUND
+ * @param {string[]} row - The TSV row
+ * @param {object} idx - Indices from getIndexBundle()
+ * @returns {boolean}
+ */
+export function rowNeedsGLQuote(row, idx) {
+  const quoteText = idx.quote >= 0 ? (row[idx.quote] || '') : '';
+  const occText = idx.occ >= 0 ? (row[idx.occ] || '') : '';
+  const glqText = idx.glq >= 0 ? (row[idx.glq] || '') : '';
+  const quoteHasQNF = quoteText.includes('QUOTE_NOT_FOUND');
+  const glqMissingOrQNF = !glqText.trim() || glqText.includes('QUOTE_NOT_FOUND');
+  return !!(quoteText.trim() && occText.trim() && occText !== '0' && (glqMissingOrQNF || quoteHasQNF));
+}
+
+/**
+ * Counts the rows of a parsed TSV that still need a GL quote, and the ones whose GLQuote is QUOTE_NOT_FOUND
+ * @param {string[][]} rows - Parsed TSV rows, header first
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {{missing: number, quoteNotFound: number, totalDataRows: number}}
+ */
+export function countMissingGLQuotes(rows, columns = DEFAULT_GL_COLUMNS) {
+  const idx = getIndexBundle(rows[0], columns);
+  let missing = 0;
+  let quoteNotFound = 0;
+  if (idx.glq >= 0) {
+    for (let i = 1; i < rows.length; i++) {
+      if (!isDataRow(rows[i])) continue;
+      if (rowNeedsGLQuote(rows[i], idx)) missing++;
+      if ((rows[i][idx.glq] || '').includes('QUOTE_NOT_FOUND')) quoteNotFound++;
+    }
+  }
+  const totalDataRows = rows.filter(isDataRow).length;
+  return { missing, quoteNotFound, totalDataRows };
+}
+
+/**
+ * Adds empty GLQuote and GLOccurrence columns to TSV content, unless it already has them. A lone
+ * GLQuote or GLOccurrence column gets its missing partner next to it, so running on a file that
+ * already has GL quote columns never duplicates them.
+ * @param {string} tsvContent - The current TSV content
+ * @param {object} [logger] - Logger from createLogger()
+ * @param {object} [columns] - Names and position of the GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {string} - The TSV content with GL quote columns
+ */
+export function addEmptyGLQuoteColumns(tsvContent, logger = console, columns = DEFAULT_GL_COLUMNS) {
+  try {
+    const tsv = readTsv(tsvContent);
+    const { rows } = tsv;
+    const headers = rows[0];
+    const glqIndex = headers.indexOf(columns.glQuote);
+    const gloIndex = headers.indexOf(columns.glOccurrence);
+    if (glqIndex !== -1 && gloIndex !== -1) {
+      return tsvContent;
+    }
+
+    let insertAt;
+    let added;
+    if (glqIndex !== -1) {
+      insertAt = glqIndex + 1;
+      added = [columns.glOccurrence];
+    } else if (gloIndex !== -1) {
+      insertAt = gloIndex;
+      added = [columns.glQuote];
+    } else {
+      const occurrenceIndex = headers.indexOf('Occurrence');
+      if (occurrenceIndex === -1) {
+        logger.error('No Occurrence column found, cannot add GL quote columns');
+        return tsvContent;
+      }
+      insertAt = columns.position === 'end' ? headers.length : occurrenceIndex + 1;
+      added = [columns.glQuote, columns.glOccurrence];
+    }
+
+    // Add headers
+    headers.splice(insertAt, 0, ...added);
+
+    // Add empty values to all data rows; blank lines and rows too short to reach the new columns stay as they are
+    for (let i = 1; i < rows.length; i++) {
+      if (isDataRow(rows[i]) && rows[i].length >= insertAt) {
+        rows[i].splice(insertAt, 0, ...added.map(() => ''));
+      }
+    }
+
+    return writeTsv(tsv);
+  } catch (error) {
+    logger.error(`Error adding empty GL quote columns:`, error.message);
+    return tsvContent;
+  }
+}
+
+/**
+ * Builds a TSV with only the header and the rows that still need a GL quote, ready for tsv-quote-converters
+ * @param {string} fullTSV - The TSV content, with or without GL quote columns
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {{partialTSV: string, keys: Set<string>, idx: object, headers: string[], rows: string[][], missingKeys: string[]}}
+ */
+export function buildPartialTSVForMissing(fullTSV, columns = DEFAULT_GL_COLUMNS) {
+  let { rows } = readTsv(fullTSV);
+  let headers = rows[0];
+  let idx = getIndexBundle(headers, columns);
+  // Ensure GLQuote columns exist; if not, add them so we don't end up with header-only partials
+  if (idx.glq === -1 || idx.glo === -1) {
+    rows = readTsv(addEmptyGLQuoteColumns(fullTSV, console, columns)).rows;
+    headers = rows[0];
+    idx = getIndexBundle(headers, columns);
+  }
+
+  const outRows = [headers];
+  const keys = new Set();
+  const missingKeys = [];
+  for (let i = 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (!isDataRow(r)) continue;
+    if (rowNeedsGLQuote(r, idx)) {
+      outRows.push(r);
+      const key = makeRowKey(r, idx);
+      keys.add(key);
+      // friendly descriptor for debug visibility
+      if (missingKeys.length < 10) {
+        const ref = idx.ref >= 0 ? (r[idx.ref] || '') : '';
+        const id = idx.id >= 0 ? (r[idx.id] || '') : '';
+        const qt = idx.quote >= 0 ? (r[idx.quote] || '') : '';
+        const oc = idx.occ >= 0 ? (r[idx.occ] || '') : '';
+        missingKeys.push(`${ref}${ref ? ' ' : ''}[ID:${id}] ${qt}${oc ? ` (occ ${oc})` : ''}`.trim());
+      }
+    }
+  }
+  return { partialTSV: toConverterTsv(outRows.map(r => r.join('\t')).join('\n'), columns), keys, idx, headers, rows, missingKeys };
+}
+
+// tsv-quote-converters writes quotes back with … as & and trimmed, so rows are paired on that form of the quote
+function generatedRowKey(row, idx) {
+  const quote = idx.quote >= 0 ? (row[idx.quote] ?? '').replace(/\s*…\s*/g, ' & ').trim() : '';
+  return makeRowKey(idx.quote >= 0 ? Object.assign([...row], { [idx.quote]: quote }) : row, idx);
+}
+
+/**
+ * Copies the GLQuote/GLOccurrence values of a generated (partial) TSV back into the full TSV,
+ * leaving everything else of the full TSV as it was
+ * @param {string} fullTSV - The full TSV content with GL quote columns
+ * @param {string} partialTSV - The generated partial TSV from buildPartialTSVForMissing(), or a generated full TSV
+ * @param {object} [columns] - GL quote columns of the full TSV, see DEFAULT_GL_COLUMNS; the generated TSV has GLQuote/GLOccurrence
+ * @returns {string} - The full TSV content with the generated values merged in
+ */
+export function mergePartialBack(fullTSV, partialTSV, columns = DEFAULT_GL_COLUMNS) {
+  const full = readTsv(fullTSV);
+  const fullRows = full.rows;
+  const fullHeaders = fullRows[0];
+  const fullIdx = getIndexBundle(fullHeaders, columns);
+
+  const partRows = readTsv(partialTSV).rows;
+  const partHeaders = partRows[0];
+  const partIdx = getIndexBundle(partHeaders);
+
+  // Build map key -> {glq,glo}
+  const map = new Map();
+  for (let i = 1; i < partRows.length; i++) {
+    const r = partRows[i];
+    if (!isDataRow(r)) continue;
+    const key = generatedRowKey(r, partIdx);
+    map.set(key, {
+      glq: partIdx.glq >= 0 ? (r[partIdx.glq] ?? '') : '',
+      glo: partIdx.glo >= 0 ? (r[partIdx.glo] ?? '') : ''
+    });
+  }
+
+  // Merge values
+  for (let i = 1; i < fullRows.length; i++) {
+    const r = fullRows[i];
+    // Rows too short to have GL quote cells are left as they are
+    if (!isDataRow(r) || r.length <= Math.max(fullIdx.glq, fullIdx.glo)) continue;
+    const key = generatedRowKey(r, fullIdx);
+    const v = map.get(key);
+    if (!v) continue;
+    if (fullIdx.glq >= 0) r[fullIdx.glq] = v.glq;
+    if (fullIdx.glo >= 0) r[fullIdx.glo] = v.glo;
+  }
+
+  return writeTsv(full);
+}
+
+/**
+ * Checks that a TSV has the columns the pipeline needs and that every row has as many cells as the
+ * header. Blank lines are not reported.
+ * @param {string} tsvContent - The TSV content
+ * @returns {{line: number, message: string}[]} - The problems found, empty if the structure is valid
+ */
+export function validateTsvStructure(tsvContent) {
+  const { rows } = readTsv(tsvContent);
+  const headers = rows[0];
+  const idx = getIndexBundle(headers);
+  const problems = [];
+  const required = { Reference: idx.ref, ID: idx.id, 'Quote (or OrigQuote/OrigWords)': idx.quote, Occurrence: idx.occ };
+  for (const [name, index] of Object.entries(required)) {
+    if (index === -1) problems.push({ line: 1, message: `Missing ${name} column` });
+  }
+  const duplicates = headers.filter((header, i) => header && headers.indexOf(header) !== i);
+  for (const header of new Set(duplicates)) {
+    problems.push({ line: 1, message: `Duplicate ${header} column` });
+  }
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i].length === 1 && rows[i][0] === '') continue;
+    const cells = rows[i].length;
+    if (cells !== headers.length) {
+      problems.push({ line: i + 1, message: `Has ${cells} column(s), the header has ${headers.length}` });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Compares the GLQuote/GLOccurrence values of two versions of a TSV, pairing rows by Reference, ID, Quote and Occurrence
+ * @param {string} beforeTSV - The old TSV content, with GL quote columns
+ * @param {string} afterTSV - The new TSV content, with GL quote columns
+ * @param {object} [columns] - GL quote columns, see DEFAULT_GL_COLUMNS
+ * @returns {{reference: string, id: string, quote: string, occurrence: string, before: {glq: string, glo: string}|null, after: {glq: string, glo: string}}[]} - The rows whose values changed, in the order of afterTSV
+ */
+export function diffGLQuotes(beforeTSV, afterTSV, columns = DEFAULT_GL_COLUMNS) {
+  const beforeRows = readTsv(beforeTSV).rows;
+  const beforeIdx = getIndexBundle(beforeRows[0], columns);
+  const previous = new Map();
+  if (beforeIdx.glq !== -1 && beforeIdx.glo !== -1) {
+    for (let i = 1; i < beforeRows.length; i++) {
+      const r = beforeRows[i];
+      if (!isDataRow(r)) continue;
+      const key = makeRowKey(r, beforeIdx);
+      if (!previous.has(key)) previous.set(key, []);
+      previous.get(key).push({ glq: r[beforeIdx.glq] ?? '', glo: r[beforeIdx.glo] ?? '' });
+    }
+  }
+
+  const afterRows = readTsv(afterTSV).rows;
+  const afterIdx = getIndexBundle(afterRows[0], columns);
+  const changes = [];
+  if (afterIdx.glq === -1 || afterIdx.glo === -1) {
+    return changes;
+  }
+  for (let i = 1; i < afterRows.length; i++) {
+    const r = afterRows[i];
+    if (!isDataRow(r)) continue;
+    // Rows with the same key are paired in order
+    const before = previous.get(makeRowKey(r, afterIdx))?.shift() || null;
+    const after = { glq: r[afterIdx.glq] ?? '', glo: r[afterIdx.glo] ?? '' };
+    if (before && before.glq === after.glq && before.glo === after.glo) continue;
+    if (!before && !after.glq && !after.glo) continue;
+    changes.push({
+      reference: afterIdx.ref >= 0 ? (r[afterIdx.ref] ?? '') : '',
+      id: afterIdx.id >= 0 ? (r[afterIdx.id] ?? '') : '',
+      quote: afterIdx.quote >= 0 ? (r[afterIdx.quote] ?? '') : '',
+      occurrence: afterIdx.occ >= 0 ? (r[afterIdx.occ] ?? '') : '',
+      before,
+      after,
+    });
+  }
+  return changes;
+}
@@ -0,0 +1,162 @@
+import { createRequire } from 'module';
+import { fetchWithRetry, httpOptions } from './http.js';
+import { addPreviousWarning, getPreviousGLQuotes } from './previous.js';
+
+const require = createRequire(import.meta.url);
+const { version } = require('../package.json');
+const converterVersion = require('tsv-quote-converters/package.json').version;
+
+/**
+ * File added to the zip file recording the exact Bible versions the GL quotes were generated from
+ */
+export const SOURCES_FILE = 'gl_quotes_sources.json';
+
+async function fetchJson(url, http) {
+  const res = await fetchWithRetry(url, http);
+  if (res.status === 404) {
+    return null;
+  }
+  if (!res.ok) {
+    throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+  }
+  return res.json();
+}
+
+/**
+ * Resolves the ref of a Bible link (a tag, branch or commit) to the commit it points at, via the DCS API
+ * @param {string} dcsUrl - DCS URL
+ * @param {string} bibleLink - Bible link, e.g. unfoldingWord/en_ult/master
+ * @param {object} [http] - Options of fetchWithRetry(), from httpOptions()
+ * @returns {Promise<{bibleLink: string, ref: string, type: string, commit: string, pinnedLink: string}>} - type is tag, branch or commit
+ */
+export async function resolveBibleVersion(dcsUrl, bibleLink, http) {
+  const [owner, repo, ref = 'master'] = bibleLink.split('/');
+  const api = `${dcsUrl}/api/v1/repos/${owner}/${repo}`;
+  const pinned = (type, commit) => ({ bibleLink, ref, type, commit, pinnedLink: `${owner}/${repo}/${commit}` });
+
+  if (/^[0-9a-f]{40}$/i.test(ref)) {
+    return pinned('commit', ref.toLowerCase());
+  }
+  const tag = await fetchJson(`${api}/tags/${encodeURIComponent(ref)}`, http);
+  if (tag?.commit?.sha) {
+    return pinned('tag', tag.commit.sha);
+  }
+  const branch = await fetchJson(`${api}/branches/${encodeURIComponent(ref)}`, http);
+  if (branch?.commit?.id) {
+    return pinned('branch', branch.commit.id);
+  }
+  // A short commit SHA
+  const commit = await fetchJson(`${api}/git/commits/${encodeURIComponent(ref)}`, http);
+  if (commit?.sha) {
+    return pinned('commit', commit.sha);
+  }
+  throw new Error(`${ref} is no tag, branch or commit of ${owner}/${repo}`);
+}
+
+/**
+ * Pins all Bibles of a run to the commit their ref points at now, so every book is generated from the
+ * same text even if a branch moves during the run. A Bible that can't be resolved is used unpinned.
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} logger - Logger from createLogger()
+ * @returns {Promise<Map<string, object>>} - The versions from resolveBibleVersion(), by Bible link
+ */
+export async function pinBibles(settings, logger) {
+  const versions = new Map();
+  for (const bibleLink of settings.bibleLinks) {
+    try {
+      const pinned = await resolveBibleVersion(settings.dcsUrl, bibleLink, httpOptions(settings, logger));
+      versions.set(bibleLink, pinned);
+      logger.log(`Pinned ${bibleLink} to ${pinned.type === 'commit' ? 'commit' : `${pinned.type} ${pinned.ref} at commit`} ${pinned.commit}`);
+    } catch (error) {
+      logger.error(`Could not pin ${bibleLink}, using it unpinned: ${error.message}`);
+    }
+  }
+  return versions;
+}
+
+/**
+ * The Bibles of a run with the version each was pinned to, for the report and the sources file
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {Map<string, object>} bibleVersions - Versions from pinBibles()
+ * @returns {object[]}
+ */
+export function listBibleVersions(settings, bibleVersions) {
+  const bibles = [...settings.bibles, ...[...(settings.bookBibles?.values() || [])].flat()];
+  const seen = new Set();
+  return bibles.filter((bible) => {
+    const key = `${bible.label}\t${bible.bibleLink}`;
+    return !seen.has(key) && seen.add(key);
+  }).map((bible) => {
+    const pinned = bibleVersions?.get(bible.bibleLink);
+    return {
+      label: bible.label ?? null,
+      bibleLink: bible.bibleLink,
+      quoteColumn: bible.columns.glQuote,
+      occurrenceColumn: bible.columns.glOccurrence,
+      type: pinned?.type ?? null,
+      commit: pinned?.commit ?? null,
+    };
+  });
+}
+
+/**
+ * Builds the content of the sources file added to the zip file
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {Map<string, object>} bibleVersions - Versions from pinBibles()
+ * @returns {string} - JSON text
+ */
+export function buildSourcesFile(settings, bibleVersions) {
+  const sources = {
+    generatedAt: new Date().toISOString(),
+    version,
+    converterVersion,
+    owner: settings.owner,
+    repo: settings.repo,
+    ref: settings.ref,
+    bibles: listBibleVersions(settings, bibleVersions),
+  };
+  return `${JSON.stringify(sources, null, 2)}\n`;
+}
+
+/**
+ * Reads the sources file of the previous GL quotes, once per run
+ * @param {object} settings - Resolved settings from resolveSettings()
+ * @param {object} cache - Cache from createPreviousGLQuotesCache()
+ * @param {object} logger - Logger from createLogger()
+ * @returns {Promise<object|null>} - The sources, or null if the previous GL quotes have none
+ */
+export function getPreviousSources(settings, cache, logger) {
+  cache.sourcesPromise = cache.sourcesPromise || getPreviousGLQuotes(SOURCES_FILE, settings, cache, logger).then((text) => {
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      logger.error(`Invalid ${SOURCES_FILE} in the previous GL quotes: ${error.message}`);
+      addPreviousWarning(cache, SOURCES_FILE, `Invalid ${SOURCES_FILE}: ${error.message}`);
+      return null;
+    }
+  });
+  return cache.sourcesPromise;
+}
+
+/**
+ * Whether a Bible was pinned to another commit than the one recorded. An unknown commit, on either
+ * side, counts as unchanged.
+ * @param {string|null} recordedCommit - Commit recorded by an earlier run
+ * @param {object} [pinned] - Version from resolveBibleVersion()
+ * @returns {boolean}
+ */
+export function bibleChanged(recordedCommit, pinned) {
+  return !!recordedCommit && !!pinned?.commit && recordedCommit !== pinned.commit;
+}
+
+/**
+ * The commit a Bible was generated from according to a sources file
+ * @param {object|null} sources - Sources from getPreviousSources()
+ * @param {{label: string|null, bibleLink: string}} bible - The Bible
+ * @returns {string|null}
+ */
+export function findRecordedCommit(sources, bible) {
+  const recorded = sources?.bibles?.filter((entry) => entry.bibleLink === bible.bibleLink) || [];
+  const match = recorded.find((entry) => (entry.label ?? null) === (bible.label ?? null)) || recorded[0];
+  return match?.commit ?? null;
+}
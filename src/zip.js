@@ -0,0 +1,73 @@
+import AdmZip from 'adm-zip';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { recordGLQuotesInManifest } from './manifest.js';
+import { findIncludedFiles } from './projects.js';
+import { SOURCES_FILE, buildSourcesFile, listBibleVersions } from './versions.js';
+
+const require = createRequire(import.meta.url);
+const { name, version } = require('../package.json');
+const converterVersion = require('tsv-quote-converters/package.json').version;
+
+/**
+ * Files of the working directory always added to the zip file, if present, so it is a complete resource container
+ */
+export const DEFAULT_ZIP_INCLUDE = Object.freeze(['manifest.yaml', 'README{,.md}', 'LICENSE{,.md}']);
+
+/**
+ * Builds the zip file of a run: the TSV files with GL quotes, the untouched TSV files of unselected
+ * books if wanted, the included files of the working directory with the GL quote generation recorded
+ * in manifest.yaml, and the sources file of the pinned Bibles
+ * @param {object} run
+ * @param {object} run.settings - Resolved settings from resolveSettings()
+ * @param {object[]} run.results - Per-file results, in the order to add them
+ * @param {{file: string}[]} run.unselected - TSV files of the unselected books
+ * @param {Map<string, object>} run.bibleVersions - Versions the Bibles were pinned to, from pinBibles()
+ * @param {object} run.logger - Logger from createLogger()
+ * @returns {AdmZip}
+ */
+export function buildZip({ settings, results, unselected, bibleVersions, logger }) {
+  const zip = new AdmZip();
+  // DCS release zips have everything in a {repo}/ folder
+  const entryName = (file) => (settings.zipFolder ? `${settings.zipFolder}/${file}` : file);
+  const readFile = (file) => fs.readFileSync(path.join(settings.workingdir, file));
+
+  for (const result of results) {
+    zip.addFile(entryName(result.file), Buffer.from(result.output, 'utf8'));
+  }
+  // Optionally keep the TSV files of unselected books, untouched, so the zip stays complete
+  if (settings.includeUnselected) {
+    for (const { file } of unselected) {
+      zip.addFile(entryName(file), readFile(file));
+    }
+  }
+
+  for (const file of findIncludedFiles(settings.workingdir, settings.zipInclude)) {
+    if (file === 'manifest.yaml') {
+      const manifest = recordGLQuotesInManifest(readFile(file).toString('utf8'), {
+        generated: new Date().toISOString(),
+        tool: name,
+        version,
+        converter_version: converterVersion,
+        bibles: listBibleVersions(settings, bibleVersions).map((bible) => ({
+          ...(bible.label ? { label: bible.label } : {}),
+          bible_link: bible.bibleLink,
+          ...(bible.commit ? { commit: bible.commit } : {}),
+          quote_column: bible.quoteColumn,
+          occurrence_column: bible.occurrenceColumn,
+        })),
+      });
+      zip.addFile(entryName(file), Buffer.from(manifest, 'utf8'));
+    } else {
+      zip.addFile(entryName(file), readFile(file));
+    }
+    logger.vlog(`Added ${file} to the zip file`);
+  }
+
+  // Record the commits the Bibles were pinned to, to reproduce the GL quotes and tell when they are outdated
+  if (bibleVersions.size > 0) {
+    zip.addFile(entryName(SOURCES_FILE), Buffer.from(buildSourcesFile(settings, bibleVersions), 'utf8'));
+  }
+  return zip;
+}
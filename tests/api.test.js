@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  buildPartialTSVForMissing,
+  createLogger,
+  mergePartialBack,
+  mergePreviousGLQuotes,
+  processTsvFiles,
+} from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger({ quiet: true });
+
+const current = [
+  'Reference\tID\tQuote\tOccurrence\tNote',
+  '1:1\tabc1\tἐν ἀρχῇ\t1\tnote a',
+  '1:2\tabc2\tλόγος\t1\tnote b',
+].join('\n');
+
+const previous = [
+  'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote',
+  '1:1\tabc1\tἐν ἀρχῇ\t1\tIn the beginning\t1\told note',
+].join('\n');
+
+test('processTsvFiles returns per-file summaries without writing in summaryOnly mode', async () => {
+  const { results, errors, zipFile } = await processTsvFiles({
+    workingdir: path.resolve(__dirname, '..', 'fixtures', 'selection'),
+    owner: 'unfoldingWord',
+    repo: 'en_twl',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    summaryOnly: true,
+    logger,
+  });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].file, 'twl_GEN.tsv');
+  assert.equal(results[0].bookCode, 'gen');
+  assert.equal(results[0].missingCount, 3);
+  assert.equal(results[0].generation, 'skipped');
+  assert.deepEqual(errors, []);
+  assert.equal(zipFile, null);
+});
+
+test('mergePreviousGLQuotes fills GL columns from matching previous rows', () => {
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_JHN.tsv', logger });
+  const rows = merged.output.split('\n').map(l => l.split('\t'));
+  assert.deepEqual(rows[0], ['Reference', 'ID', 'Quote', 'Occurrence', 'GLQuote', 'GLOccurrence', 'Note']);
+  assert.deepEqual(rows[1].slice(4, 6), ['In the beginning', '1']);
+  assert.deepEqual(rows[2].slice(4, 6), ['', '']);
+  assert.equal(merged.matchedCount, 1);
+  assert.equal(merged.missingCount, 1);
+});
+
+test('buildPartialTSVForMissing and mergePartialBack round-trip generated rows', () => {
+  const { output } = mergePreviousGLQuotes(current, previous, { fileName: 'tn_JHN.tsv', logger });
+  const { partialTSV } = buildPartialTSVForMissing(output);
+  assert.equal(partialTSV.split('\n').length, 2);
+  const generated = partialTSV.replace('λόγος\t1\t\t', 'λόγος\t1\tthe Word\t1');
+  const full = mergePartialBack(output, generated);
+  assert.deepEqual(full.split('\n')[2].split('\t').slice(4, 6), ['the Word', '1']);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import { createLogger, findArtifact, selectArtifact } from '../index.js';
+
+const logger = createLogger({ quiet: true });
+
+const artifact = (id, name, workflowRun = {}, expired = false) => ({
+  id, name, expired, archive_download_url: `https://qa.door43.org/artifacts/${id}.zip`, workflow_run: workflowRun,
+});
+
+test('selectArtifact() prefers the ref, then the merge base, then the default branch', () => {
+  const artifacts = [
+    artifact(1, 'en_tn_master_with_gl_quotes', { head_branch: 'master', head_sha: 'aaa' }),
+    artifact(2, 'en_tn_master_with_gl_quotes', { head_branch: 'master', head_sha: 'bbb' }),
+    artifact(3, 'en_tn_other-feature_with_gl_quotes', { head_branch: 'other-feature' }),
+    artifact(4, 'en_tn_feature_with_gl_quotes', { head_branch: 'feature' }, true),
+    artifact(5, 'en_tn_feature_gl_backup', { head_branch: 'feature' }),
+  ];
+  const target = { ref: 'feature', mergeBase: 'aaa', defaultBranch: 'master' };
+  assert.deepEqual(selectArtifact(artifacts, target), { artifact: artifacts[0], selectedBy: 'merge base' });
+  assert.deepEqual(selectArtifact(artifacts, { ...target, mergeBase: null }), { artifact: artifacts[1], selectedBy: 'default branch' });
+  assert.equal(selectArtifact([...artifacts, artifact(6, 'en_tn_feature_with_gl_quotes')], target).selectedBy, 'ref');
+  assert.equal(selectArtifact(artifacts, { ref: 'feature' }), null);
+
+  // An explicit name pattern falls back to its newest match
+  assert.deepEqual(selectArtifact(artifacts, { ref: 'feature', artifactName: '*_gl_backup' }), { artifact: artifacts[4], selectedBy: 'ref' });
+  assert.deepEqual(selectArtifact(artifacts, { ref: 'main', artifactName: 'en_tn_other-*' }), { artifact: artifacts[2], selectedBy: 'name' });
+});
+
+test('findArtifact() pages through the artifacts API and takes an --artifact-id as it is', async () => {
+  // 120 artifacts of other branches, newest first, then one of master
+  const all = Array.from({ length: 120 }, (_, i) => artifact(200 - i, `en_tn_branch${i}_with_gl_quotes`, { head_branch: `branch${i}` }));
+  all.push(artifact(10, 'en_tn_master_with_gl_quotes', { head_branch: 'master' }));
+  const pages = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    if (url.pathname === '/api/v1/repos/unfoldingWord/en_tn') return send(200, { default_branch: 'master' });
+    if (url.pathname === '/api/v1/repos/unfoldingWord/en_tn/actions/artifacts/150') return send(200, all[50]);
+    const page = Number(url.searchParams.get('page'));
+    const limit = Number(url.searchParams.get('limit'));
+    pages.push(page);
+    return send(200, { total_count: all.length, artifacts: all.slice((page - 1) * limit, page * limit) });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const settings = {
+    artifactsBaseUrl: `http://127.0.0.1:${server.address().port}`,
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'feature',
+    workingdir: os.tmpdir(),
+  };
+  try {
+    const found = await findArtifact(settings, logger);
+    assert.equal(found.meta.id, 10);
+    assert.deepEqual(pages, [1, 2, 3]);
+
+    // An artifact of the ref ends the listing
+    pages.length = 0;
+    assert.equal((await findArtifact({ ...settings, ref: 'branch3' }, logger)).meta.id, 197);
+    assert.deepEqual(pages, [1]);
+
+    assert.equal((await findArtifact({ ...settings, artifactId: '150' }, logger)).url, all[50].archive_download_url);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { performance } from 'node:perf_hooks';
+import { createLogger, mergePreviousGLQuotes } from '../index.js';
+
+const logger = createLogger({ quiet: true });
+
+/**
+ * Builds a synthetic book with the given number of notes, like a large tn_PSA.tsv
+ */
+function syntheticTsv(rowCount, withGLQuotes) {
+  const headers = ['Reference', 'ID', 'Tags', 'SupportReference', 'Quote', 'Occurrence'];
+  if (withGLQuotes) headers.push('GLQuote', 'GLOccurrence');
+  headers.push('Note');
+  const lines = [headers.join('\t')];
+  for (let i = 0; i < rowCount; i++) {
+    const row = [`${Math.floor(i / 200) + 1}:${Math.floor(i / 5) % 40 + 1}`, `r${i.toString(36)}`, '', '', `λόγος${i % 97} καὶ ${i}`, '1'];
+    if (withGLQuotes) row.push(`word ${i}`, '1');
+    row.push(`Note ${i}`);
+    lines.push(row.join('\t'));
+  }
+  return lines.join('\n');
+}
+
+function timeMerge(rowCount) {
+  const current = syntheticTsv(rowCount, false);
+  // Drop every tenth previous row so the fuzzy tiers are exercised for the misses too
+  const previous = syntheticTsv(rowCount, true).split('\n').filter((_, i) => i % 10 !== 5).join('\n');
+  const start = performance.now();
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_PSA.tsv', logger });
+  const elapsed = performance.now() - start;
+  assert.equal(merged.matchedCount, rowCount - Math.floor((rowCount + 4) / 10));
+  return elapsed;
+}
+
+test('mergePreviousGLQuotes merges a large book', () => {
+  const current = syntheticTsv(40000, false);
+  const previous = syntheticTsv(40000, true);
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_PSA.tsv', logger });
+  assert.deepEqual(merged.matchedByTier, { exact: 40000, id: 0, quote: 0 });
+  assert.equal(merged.missingCount, 0);
+});
+
+// Wall-clock timings depend on the machine and its load, so they only run on request: npm run benchmark
+test('mergePreviousGLQuotes scales linearly with the number of rows', { skip: !process.env.BENCHMARK && 'set BENCHMARK=1 to run' }, () => {
+  timeMerge(2000); // warm up
+  const small = Math.max(timeMerge(10000), 1);
+  const large = timeMerge(40000);
+  // 4x the rows: linear is ~4x the time, quadratic would be ~16x
+  assert.ok(large / small < 10, `40000 rows took ${large.toFixed(0)}ms vs ${small.toFixed(0)}ms for 10000 rows`);
+  assert.ok(large < 5000, `40000 rows took ${large.toFixed(0)}ms`);
+});
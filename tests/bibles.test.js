@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { processTsvFiles, resolveSettings } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+test('labeled Bibles each get their own GL quote columns', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-bibles-'));
+  fs.writeFileSync(path.join(dir, 'tn_1JN.tsv'), 'Reference\tID\tQuote\tOccurrence\tNote\n'
+    + '1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tnote one\n'
+    + '1:2\tab03\tἡ ζωὴ ἐφανερώθη\t1\tnote three\n', 'utf8');
+  const cacheDir = path.join(dir, '.cache');
+  const run = () => processTsvFiles({
+    workingdir: dir,
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'ULT=unfoldingWord/en_ult/master,UST=unfoldingWord/en_ust/master',
+    offline: true,
+    resourceCache,
+    cacheDir,
+    quiet: true,
+  });
+  try {
+    const { results, report } = await run();
+    const written = fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8');
+    assert.equal(written, 'Reference\tID\tQuote\tOccurrence\tULTQuote\tULTOccurrence\tUSTQuote\tUSTOccurrence\tNote\n'
+      + '1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tWhat was from the beginning\t1\tThe one who existed from the very start\t1\tnote one\n'
+      + '1:2\tab03\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1\tthe life appeared\t1\tnote three\n');
+    assert.deepEqual(results[0].bibles.map(b => [b.label, b.generation, b.generatedCount]), [['ULT', 'partial', 2], ['UST', 'partial', 2]]);
+    assert.equal(results[0].generatedCount, 4);
+    assert.deepEqual(report.books[0].bibles.map(b => [b.label, b.bibleLink, b.quoteColumn]), [
+      ['ULT', 'unfoldingWord/en_ult/master', 'ULTQuote'],
+      ['UST', 'unfoldingWord/en_ust/master', 'USTQuote'],
+    ]);
+    // Each Bible has its own quote cache
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), ['unfoldingWord_en_ult_master', 'unfoldingWord_en_ust_master']);
+
+    // A new note is generated for both Bibles, the others are kept
+    fs.appendFileSync(path.join(dir, 'tn_1JN.tsv'), '1:2\tab04\tζωὴ\t1\t\t\t\t\tnote four\n');
+    const again = await run();
+    assert.deepEqual(again.results[0].bibles.map(b => [b.existingCount, b.generation]), [[2, 'partial'], [2, 'partial']]);
+    const lastRow = fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8').trimEnd().split('\n').at(-1).split('\t');
+    assert.deepEqual(lastRow, ['1:2', 'ab04', 'ζωὴ', '1', 'life', '1', 'life', '1', 'note four']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('resolveSettings() parses labeled Bible links', () => {
+  const { bibles, bibleLinks } = resolveSettings({ workingdir: __dirname, bibleLinks: 'ULT=unfoldingWord/en_ult/master, UST=unfoldingWord/en_ust/v40' });
+  assert.deepEqual(bibleLinks, ['unfoldingWord/en_ult/master', 'unfoldingWord/en_ust/v40']);
+  assert.deepEqual(bibles.map(b => [b.label, b.columns.glQuote, b.columns.glOccurrence]), [['ULT', 'ULTQuote', 'ULTOccurrence'], ['UST', 'USTQuote', 'USTOccurrence']]);
+  assert.deepEqual(resolveSettings({ workingdir: __dirname, bibleLinks: 'unfoldingWord/en_ult/master' }).bibles[0].columns.glQuote, 'GLQuote');
+  assert.throws(() => resolveSettings({ workingdir: __dirname, bibleLinks: ['unfoldingWord/en_ult/master', 'unfoldingWord/en_ust/master'] }), /Label the Bibles/);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import AdmZip from 'adm-zip';
+import { parseBookSelection, processTsvFiles } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const workingdir = path.resolve(__dirname, '..', 'fixtures', 'books');
+
+test('book selections accept codes, testaments and ranges in canonical order', () => {
+  assert.deepEqual([...parseBookSelection('mat, ROM')], ['MAT', 'ROM']);
+  assert.deepEqual([...parseBookSelection('GEN-DEU')], ['GEN', 'EXO', 'LEV', 'NUM', 'DEU']);
+  assert.deepEqual([...parseBookSelection('1JN-3JN')], ['1JN', '2JN', '3JN']);
+  assert.equal(parseBookSelection('OT').size, 39);
+  assert.equal(parseBookSelection('NT').size, 27);
+  assert.equal(parseBookSelection(''), null);
+  assert.throws(() => parseBookSelection('MAT,XYZ'), /Unknown book code\(s\): XYZ/);
+  assert.throws(() => parseBookSelection('DEU-GEN'), /DEU comes after GEN/);
+});
+
+test('only the selected books are processed, the zip optionally keeps the others untouched', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-books-'));
+  const options = {
+    workingdir,
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    offline: true,
+    resourceCache: tmpDir,
+    quoteCache: false,
+    zip: true,
+    books: 'OT,1JN',
+    excludeBooks: 'RUT',
+    quiet: true,
+  };
+  try {
+    const selected = await processTsvFiles({ ...options, outputZipFile: path.join(tmpDir, 'selected.zip') });
+    assert.deepEqual(selected.results.map(r => r.file).sort(), ['tn_1JN.tsv', 'tn_GEN.tsv']);
+    assert.deepEqual(new AdmZip(selected.zipFile).getEntries().map(e => e.entryName), ['tn_1JN.tsv', 'tn_GEN.tsv']);
+
+    const all = await processTsvFiles({ ...options, includeUnselected: true, outputZipFile: path.join(tmpDir, 'all.zip') });
+    const zip = new AdmZip(all.zipFile);
+    assert.deepEqual(zip.getEntries().map(e => e.entryName), ['tn_1JN.tsv', 'tn_GEN.tsv', 'tn_MAT.tsv', 'tn_RUT.tsv']);
+    assert.equal(zip.readAsText('tn_RUT.tsv'), fs.readFileSync(path.join(workingdir, 'tn_RUT.tsv'), 'utf8'));
+
+    await assert.rejects(processTsvFiles({ ...options, books: 'PSA' }), /No TSV files found for the selected books/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
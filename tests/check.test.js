@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { processTsvFiles, validateTsvStructure } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+const HEADER = 'Reference\tID\tTags\tSupportReference\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote';
+
+async function check(rows) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-check-'));
+  const content = [HEADER, ...rows].join('\n') + '\n';
+  fs.writeFileSync(path.join(dir, 'tn_1JN.tsv'), content, 'utf8');
+  const cacheDir = path.join(dir, '.cache', 'quotes');
+  try {
+    const run = await processTsvFiles({
+      workingdir: dir,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      offline: true,
+      resourceCache,
+      cacheDir,
+      zip: true,
+      check: true,
+      quiet: true,
+    });
+    // Nothing is written: not the TSV, the zip nor the quote cache
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8'), content);
+    assert.deepEqual(fs.readdirSync(dir), ['tn_1JN.tsv']);
+    return run.check;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('--check passes when the committed GL quotes are complete and up to date', async () => {
+  const result = await check([
+    '1:1\tab01\t\t\tὋ ἦν ἀπ’ ἀρχῆς\t1\tWhat was from the beginning\t1\tnote one',
+    '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1\tnote three',
+  ]);
+  assert.deepEqual(result, { passed: true, failures: [] });
+});
+
+test('--check fails for outdated or missing GL quotes', async () => {
+  const result = await check([
+    '1:1\tab01\t\t\tὋ ἦν ἀπ’ ἀρχῆς\t1\tWhat was from the start\t1\tnote one',
+    '1:1\tab02\t\t\tἀκηκόαμεν\t1\t\t\tnote two',
+    '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1\tnote three',
+  ]);
+  assert.equal(result.passed, false);
+  assert.deepEqual(result.failures.map(f => f.message), [
+    '1 row(s) would have no GL quote',
+    '2 committed GL quote(s) differ from freshly generated ones (1:1 ab01, 1:1 ab02)',
+  ]);
+});
+
+test('--check fails for invalid TSV rows', async () => {
+  const result = await check([
+    '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1',
+  ]);
+  assert.equal(result.passed, false);
+  assert.equal(result.failures[0].message, 'Invalid TSV structure at line 2: Has 8 column(s), the header has 9');
+});
+
+test('TSV structure problems are reported with their line numbers', () => {
+  assert.deepEqual(validateTsvStructure('Reference\tID\tQuote\tOccurrence\n1:1\tab01\tx\t1\n'), []);
+  assert.deepEqual(validateTsvStructure('Reference\tQuote\tQuote\tOccurrence\n1:1\tx\n'), [
+    { line: 1, message: 'Missing ID column' },
+    { line: 1, message: 'Duplicate Quote column' },
+    { line: 2, message: 'Has 2 column(s), the header has 4' },
+  ]);
+});
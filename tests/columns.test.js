@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { processTsvFiles, resolveSettings } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+test('GL quotes are written to the configured columns, next to the ones of another GL', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-columns-'));
+  const content = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n'
+    + '1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tLo que era desde el principio\t1\tnote one\n'
+    + '1:2\tab03\tἡ ζωὴ ἐφανερώθη\t1\t\t\tnote three\n';
+  fs.writeFileSync(path.join(dir, 'tn_1JN.tsv'), content, 'utf8');
+  const run = () => processTsvFiles({
+    workingdir: dir,
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    quoteColumn: 'ULTQuote',
+    occurrenceColumn: 'ULTOccurrence',
+    columnPosition: 'end',
+    offline: true,
+    resourceCache,
+    quoteCache: false,
+    quiet: true,
+  });
+  try {
+    await run();
+    const written = fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8');
+    assert.equal(written, 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\tULTQuote\tULTOccurrence\n'
+      + '1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tLo que era desde el principio\t1\tnote one\tWhat was from the beginning\t1\n'
+      + '1:2\tab03\tἡ ζωὴ ἐφανερώθη\t1\t\t\tnote three\tthe life was revealed\t1\n');
+
+    // The configured columns are updated in place on the next run
+    const { results } = await run();
+    assert.equal(results[0].existingCount, 2);
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8'), written);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('resolveSettings() rejects an unknown column position', () => {
+  assert.throws(() => resolveSettings({ workingdir: __dirname, columnPosition: 'start' }), /Invalid column position start/);
+  assert.deepEqual(resolveSettings({ workingdir: __dirname }).columns, { glQuote: 'GLQuote', glOccurrence: 'GLOccurrence', position: 'after-occurrence' });
+});
@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import AdmZip from 'adm-zip';
+import { createLogger, loadQuoteCache, processTsvFiles } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const workingdir = path.resolve(__dirname, '..', 'fixtures', 'books');
+const fixtures = path.resolve(__dirname, '..', 'fixtures', 'concurrency');
+const resources = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+test('books processed concurrently keep their log lines grouped and the zip entries ordered', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-concurrency-'));
+  const lines = [];
+  const logger = createLogger({ quiet: true });
+  logger.log = (...args) => lines.push(args.join(' '));
+  try {
+    const files = ['tn_RUT.tsv', 'tn_GEN.tsv', 'tn_1JN.tsv', 'tn_MAT.tsv'];
+    const { results, errors, zipFile } = await processTsvFiles({
+      workingdir,
+      files,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      offline: true,
+      resourceCache: tmpDir,
+      quoteCache: false,
+      zip: true,
+      outputZipFile: path.join(tmpDir, 'out.zip'),
+      concurrency: 3,
+      logger,
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(results.map(r => r.file), files);
+    assert.deepEqual(new AdmZip(zipFile).getEntries().map(e => e.entryName), [...files].sort());
+
+    // Every book's lines are printed together, starting with "Processing <file>..."
+    const books = lines.filter(l => l.startsWith('Processing ')).map(l => l.split(' ')[1].replace('...', ''));
+    assert.deepEqual([...books].sort(), [...files].sort());
+    let current = null;
+    const seen = new Set();
+    for (const line of lines) {
+      if (line.startsWith('Processing ')) {
+        current = line.split(' ')[1].replace('...', '');
+        assert.ok(!seen.has(current));
+        seen.add(current);
+      } else if (/^Summary for /.test(line)) {
+        assert.ok(line.startsWith(`Summary for ${current}:`), `"${line}" printed within the output of ${current}`);
+      }
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Serves the artifact with the previous GL quotes and, slowly, the Bibles of the resource fixtures,
+ * counting the requests
+ */
+async function startDcsStub() {
+  const previousZip = new AdmZip();
+  previousZip.addLocalFolder(path.join(fixtures, 'previous'));
+  const stats = { listings: 0, downloads: 0, inFlight: 0, maxInFlight: 0 };
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const send = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    };
+    if (url.pathname === '/api/v1/repos/unfoldingWord/en_tn/actions/artifacts') {
+      stats.listings++;
+      return send(200, { artifacts: [{ id: 1, name: 'en_tn_master_with_gl_quotes', expired: false, archive_download_url: `${stats.url}/artifacts/1.zip` }] });
+    }
+    if (url.pathname === '/artifacts/1.zip') {
+      stats.downloads++;
+      return send(200, previousZip.toBuffer(), 'application/zip');
+    }
+    const [owner, repo] = parts.slice(3, 5);
+    if (parts.length === 5 && fs.existsSync(path.join(resources, owner, repo, 'repo.json'))) {
+      return send(200, fs.readFileSync(path.join(resources, owner, repo, 'repo.json'), 'utf8'));
+    }
+    const file = parts[5] === 'contents' && path.join(resources, owner, repo, url.searchParams.get('ref') || 'master', parts[6]);
+    if (!file || !fs.existsSync(file)) {
+      return send(404, { message: 'Not found' });
+    }
+    // Slow enough for the books processed at once to be fetching at the same time
+    stats.inFlight++;
+    stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    stats.inFlight--;
+    return send(200, { name: parts[6], encoding: 'base64', content: fs.readFileSync(file).toString('base64') });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stats.url = `http://127.0.0.1:${server.address().port}`;
+  return { stats, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test('books generated concurrently share one artifact download and quote cache file and give the same zip as one at a time', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-concurrency-'));
+  const files = ['tq_1JN.tsv', 'tn_1JN.tsv', 'sn_1JN.tsv'];
+  const run = async (concurrency) => {
+    const dcs = await startDcsStub();
+    const cacheDir = path.join(tmpDir, `cache-${concurrency}`);
+    try {
+      const outputZipFile = path.join(tmpDir, `concurrency-${concurrency}.zip`);
+      const { results, errors } = await processTsvFiles({
+        workingdir: path.join(fixtures, 'repo'),
+        files,
+        owner: 'unfoldingWord',
+        repo: 'en_tn',
+        ref: 'master',
+        bibleLinks: 'unfoldingWord/en_ult/master',
+        dcsUrl: dcs.stats.url,
+        artifactsBaseUrl: dcs.stats.url,
+        pinBibles: false,
+        cacheDir,
+        retries: 0,
+        zip: true,
+        outputZipFile,
+        concurrency,
+        logger: createLogger({ quiet: true }),
+      });
+      assert.deepEqual(errors, []);
+      assert.deepEqual(results.map((r) => r.file), files);
+      for (const result of results) {
+        assert.equal(result.matchedCount, 1);
+        assert.equal(result.missingCount, 2);
+      }
+      return {
+        stats: dcs.stats,
+        entries: new AdmZip(outputZipFile).getEntries().map((e) => [e.entryName, e.getData().toString('utf8')]),
+        cached: [...loadQuoteCache(cacheDir, ['unfoldingWord/en_ult/master'], '1jn').rows.keys()].map((key) => key.split('\u241F')[1]).sort(),
+      };
+    } finally {
+      await dcs.close();
+    }
+  };
+  try {
+    const sequential = await run(1);
+    const concurrent = await run(3);
+    assert.equal(sequential.stats.maxInFlight, 1);
+    assert.ok(concurrent.stats.maxInFlight > 1, 'the books are generated at the same time');
+    assert.equal(concurrent.stats.listings, 1);
+    assert.equal(concurrent.stats.downloads, 1);
+
+    assert.deepEqual(concurrent.entries.map(([name]) => name), [...files].sort());
+    assert.deepEqual(concurrent.entries, sequential.entries);
+    // The tn, sn and tq files of the book share its quote cache file; none of their rows get lost
+    assert.deepEqual(sequential.cached, ['sn02', 'sn03', 'tn02', 'tn03', 'tq02', 'tq03']);
+    assert.deepEqual(concurrent.cached, sequential.cached);
+    for (const [, content] of concurrent.entries) {
+      const rows = content.trim().split('\n').map((line) => line.split('\t'));
+      assert.equal(rows[1][6], 'what was from the beginning');
+      assert.deepEqual([rows[2][6], rows[3][6]], ['the beginning', 'the life was revealed']);
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
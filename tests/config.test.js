@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig, processTsvFiles, resolveSettings } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+function tmpRepo(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-config-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content, 'utf8');
+  }
+  return dir;
+}
+
+test('loadConfig() reads .glquotesrc with option or argument names and resolves its paths', () => {
+  const dir = tmpRepo({ '.glquotesrc': 'bible: unfoldingWord/en_ult/v84\nexclude-books: PSA\nreport: out/report.json\nquoteCache: false\n' });
+  try {
+    assert.deepEqual(loadConfig(dir), {
+      file: path.join(dir, '.glquotesrc'),
+      options: { bibleLinks: 'unfoldingWord/en_ult/v84', excludeBooks: 'PSA', report: path.join(dir, 'out', 'report.json'), quoteCache: false },
+    });
+    assert.equal(loadConfig(dir, false), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig() falls back to the glQuotes key of package.json and rejects unknown options and tokens', () => {
+  const dir = tmpRepo({ 'package.json': JSON.stringify({ name: 'en_tn', glQuotes: { owner: 'unfoldingWord', concurrency: 2 } }) });
+  try {
+    assert.deepEqual(loadConfig(dir).options, { owner: 'unfoldingWord', concurrency: 2 });
+    fs.writeFileSync(path.join(dir, '.glquotesrc.json'), JSON.stringify({ bibel: 'unfoldingWord/en_ult/master' }), 'utf8');
+    assert.throws(() => loadConfig(dir), /Unknown option\(s\) in .*\.glquotesrc\.json: bibel/);
+    fs.writeFileSync(path.join(dir, '.glquotesrc.json'), JSON.stringify({ owner: 'unfoldingWord', token: 's3cret' }), 'utf8');
+    assert.throws(() => loadConfig(dir), /A DCS token is not allowed in .*\.glquotesrc\.json; set the DCS_TOKEN environment variable/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('given options win over the config file, which wins over environment variables', () => {
+  const dir = tmpRepo({ '.glquotesrc.yaml': 'owner: config-owner\nrepo: config_repo\nref: config-ref\n' });
+  const { GITHUB_REF_NAME } = process.env;
+  process.env.GITHUB_REF_NAME = 'env-ref';
+  try {
+    const settings = resolveSettings({ workingdir: dir, owner: 'cli-owner' });
+    assert.deepEqual([settings.owner, settings.repo, settings.ref], ['cli-owner', 'config_repo', 'config-ref']);
+    assert.equal(settings.config, path.join(dir, '.glquotesrc.yaml'));
+  } finally {
+    if (GITHUB_REF_NAME === undefined) delete process.env.GITHUB_REF_NAME;
+    else process.env.GITHUB_REF_NAME = GITHUB_REF_NAME;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('per-book overrides of the config file set the Bible of a book or exclude it', async () => {
+  const tsv = 'Reference\tID\tQuote\tOccurrence\tNote\n1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tnote one\n';
+  const dir = tmpRepo({
+    'tn_1JN.tsv': tsv,
+    'tn_3JN.tsv': tsv,
+    '.glquotesrc': [
+      'owner: unfoldingWord',
+      'repo: en_tn',
+      'ref: master',
+      'bible: unfoldingWord/en_ult/master',
+      'offline: true',
+      `resource-cache: ${JSON.stringify(resourceCache)}`,
+      'quote-cache: false',
+      'quiet: true',
+      'overrides:',
+      '  1JN:',
+      '    bible: unfoldingWord/en_ust/master',
+      '  3JN:',
+      '    exclude: true',
+    ].join('\n'),
+  });
+  try {
+    const { results } = await processTsvFiles({ workingdir: dir });
+    assert.deepEqual(results.map(r => r.file), ['tn_1JN.tsv']);
+    assert.equal(results[0].bibleLink, 'unfoldingWord/en_ust/master');
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8').split('\n')[1].split('\t')[4], 'The one who existed from the very start');
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_3JN.tsv'), 'utf8'), tsv);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
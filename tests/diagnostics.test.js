@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { diagnoseTsv, parseUsfmVerses, processTsvFiles } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixtures = path.resolve(__dirname, '..', 'fixtures', 'previous');
+
+const ORIGINAL = [
+  '\\id 1JN',
+  '\\c 1',
+  '\\v 1 \\w Ὃ|lemma="ὅς"\\w* \\w ἦν|lemma="εἰμί"\\w* \\w ἀπ’|lemma="ἀπό"\\w* \\w ἀρχῆς|lemma="ἀρχή"\\w*, \\w ὃ|lemma="ὅς"\\w* \\w ἀκηκόαμεν|lemma="ἀκούω"\\w*',
+  '\\v 2 \\w καὶ|lemma="καί"\\w* \\w ἡ|lemma="ὁ"\\w* \\w ζωὴ|lemma="ζωή"\\w* \\w ἐφανερώθη|lemma="φανερόω"\\w*',
+  '\\v 3 \\w ὃ|lemma="ὅς"\\w* \\w ἑωράκαμεν|lemma="ὁράω"\\w*',
+].join('\n');
+
+const TARGET = [
+  '\\id 1JN',
+  '\\c 1',
+  '\\v 1 \\zaln-s |x-occurrence="1" x-content="Ὃ"\\*\\w What|x-occurrence="1"\\w*\\zaln-e\\* \\zaln-s |x-content="ἦν"\\*\\w was\\w*\\zaln-e\\*',
+  '\\zaln-s |x-content="ἀπ’"\\*\\w from\\w*\\zaln-e\\* \\zaln-s |x-content="ἀρχῆς"\\*\\w the beginning\\w*\\zaln-e\\*',
+  '\\v 2 \\zaln-s |x-content="ζωὴ"\\*\\w life\\w*\\zaln-e\\* \\w was\\w* \\w revealed\\w*',
+].join('\n');
+
+test('USFM verses are parsed into their words and aligned original words', () => {
+  const original = parseUsfmVerses(ORIGINAL);
+  assert.deepEqual(original.get('1:2').words, ['καὶ', 'ἡ', 'ζωὴ', 'ἐφανερώθη']);
+  const target = parseUsfmVerses(TARGET);
+  assert.deepEqual([...target.get('1:1').aligned], ['Ὃ', 'ἦν', 'ἀπ’', 'ἀρχῆς']);
+  assert.ok(!target.has('1:3'));
+});
+
+test('unresolved rows are listed with the reason they have no GL quote', () => {
+  const tsv = [
+    'Reference\tID\tTags\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote',
+    '1:1\taa01\t\tὋ ἦν ἀπ’ ἀρχῆς\t1\tWhat was from the beginning\t1\tresolved',
+    '1:1\taa02\t\tἦν\t2\tQUOTE_NOT_FOUND: ἦν\t2\tonly once in the verse',
+    '1:1\taa03\t\tλόγος\t1\t\t\tnot in the verse',
+    '1:2\taa04\t\tἡ ζωὴ ἐφανερώθη\t1\t\t\tpartly aligned',
+    '1:3\taa05\t\tἑωράκαμεν\t1\t\t\tverse missing from the target',
+    '1:intro\taa06\t\tὋ\t1\t\t\tnot a verse',
+  ].join('\n');
+  const diagnostics = diagnoseTsv(tsv, {
+    file: 'tn_1JN.tsv',
+    bookCode: '1jn',
+    usfm: { original: ORIGINAL, target: TARGET },
+    converterErrors: ['Error: line #4 -- 1jn 1:1 -- aa03 -- null'],
+  });
+  assert.deepEqual(diagnostics.map(d => [d.id, d.reason]), [
+    ['aa02', 'occurrence-out-of-range'],
+    ['aa03', 'words-not-found'],
+    ['aa04', 'alignment-gap'],
+    ['aa05', 'verse-missing'],
+    ['aa06', 'verse-missing'],
+  ]);
+  assert.equal(diagnostics[1].line, 4);
+  assert.equal(diagnostics[1].converterError, 'Error: line #4 -- 1jn 1:1 -- aa03 -- null');
+  assert.equal(diagnostics[2].detail, 'Not aligned in the target Bible: ἡ ἐφανερώθη');
+  assert.match(diagnostics[3].detail, /not found in the target Bible/);
+});
+
+test('--diagnostics writes the unresolved rows of a run as TSV', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-diagnostics-'));
+  const diagnosticsFile = path.join(tmpDir, 'diagnostics.tsv');
+  try {
+    await processTsvFiles({
+      workingdir: path.join(fixtures, 'repo'),
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      previous: path.join(fixtures, 'output'),
+      // Nothing is cached, so the Bible texts are not available to diagnose the missing row
+      offline: true,
+      resourceCache: tmpDir,
+      quoteCache: false,
+      zip: true,
+      outputZipFile: path.join(tmpDir, 'out.zip'),
+      diagnostics: diagnosticsFile,
+      quiet: true,
+    });
+    const lines = fs.readFileSync(diagnosticsFile, 'utf8').trim().split('\n').map(l => l.split('\t'));
+    assert.deepEqual(lines[0], ['File', 'Book', 'Line', 'Reference', 'ID', 'Quote', 'Occurrence', 'Reason', 'Detail', 'ConverterError']);
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines[1].slice(0, 8), ['tn_1JN.tsv', '1JN', '4', '1:2', 'ab03', 'ἡ ζωὴ ἐφανερώθη', '1', 'unknown']);
+    assert.match(lines[1][8], /^Bible texts not available/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
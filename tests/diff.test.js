@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLogger, processTsvFiles } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+const previous = path.resolve(__dirname, '..', 'fixtures', 'previous');
+
+const COMMITTED = [
+  'Reference\tID\tTags\tSupportReference\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote',
+  '1:1\tab01\t\t\tὋ ἦν ἀπ’ ἀρχῆς\t1\tWhat was from the start\t1\tnote one',
+  '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1\tnote three',
+].join('\n') + '\n';
+
+test('--dry-run --diff writes the changed GL quotes per row and changes nothing', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-diff-'));
+  const diffFile = path.join(os.tmpdir(), `gl-diff-${process.pid}.diff`);
+  fs.writeFileSync(path.join(dir, 'tn_1JN.tsv'), COMMITTED, 'utf8');
+  try {
+    await processTsvFiles({
+      workingdir: dir,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      offline: true,
+      resourceCache,
+      cacheDir: path.join(dir, '.cache'),
+      regenerateAll: true,
+      dryRun: true,
+      diff: diffFile,
+      quiet: true,
+    });
+    assert.deepEqual(fs.readdirSync(dir), ['tn_1JN.tsv']);
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8'), COMMITTED);
+    assert.equal(fs.readFileSync(diffFile, 'utf8'), [
+      '--- a/tn_1JN.tsv',
+      '+++ b/tn_1JN.tsv',
+      '@@ 1:1 ab01 @@ Ὃ ἦν ἀπ’ ἀρχῆς (1)',
+      '-GLQuote: What was from the start\tGLOccurrence: 1',
+      '+GLQuote: What was from the beginning\tGLOccurrence: 1',
+      '',
+      'tn_1JN.tsv: 1 changed row(s)',
+      'Changed rows: 1 in 1 of 1 book(s)',
+      '',
+    ].join('\n'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(diffFile, { force: true });
+  }
+});
+
+test('--diff compares TSV files without GL quote columns with the previous GL quotes', async () => {
+  const lines = [];
+  const logger = createLogger({ quiet: true });
+  logger.log = (...args) => lines.push(args.join(' '));
+  const { results } = await processTsvFiles({
+    workingdir: path.join(previous, 'repo'),
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    previous: path.join(previous, 'output'),
+    offline: true,
+    resourceCache,
+    quoteCache: false,
+    dryRun: true,
+    diff: true,
+    logger,
+  });
+  // The two rows of the previous GL quotes are unchanged; only the generated row is new
+  assert.deepEqual(results[0].diff.map(change => [change.id, change.before, change.after.glq]), [
+    ['ab03', null, 'the life was revealed'],
+  ]);
+  const output = lines.find(line => line.startsWith('--- a/tn_1JN.tsv'));
+  assert.ok(output);
+  assert.match(output, /\+GLQuote: the life was revealed\tGLOccurrence: 1\n/);
+  assert.match(output, /Changed rows: 1 in 1 of 1 book\(s\)$/);
+});
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ERROR_CODES, classifyError, createLogger, parseConverterError, processTsvFiles, writeErrorsToFile } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+const logger = createLogger({ quiet: true });
+
+test('classifyError() tells network, missing book and malformed TSV problems apart', () => {
+  assert.equal(classifyError(new Error('fetch failed', { cause: { code: 'ECONNRESET' } })), ERROR_CODES.NETWORK);
+  assert.equal(classifyError('Failed to fetch artifacts: 503 Service Unavailable'), ERROR_CODES.NETWORK);
+  assert.equal(classifyError('Failed to fetch unfoldingWord/en_ult/63-1JN.usfm@master: 404 Not Found'), ERROR_CODES.BIBLE_BOOK_MISSING);
+  assert.equal(classifyError(new Error('Invalid TSV content')), ERROR_CODES.TSV_MALFORMED);
+  assert.equal(classifyError('Unable to find QUOTE'), ERROR_CODES.GENERATION_FAILED);
+  assert.equal(classifyError('Bad zip file', ERROR_CODES.ARTIFACT_INVALID), ERROR_CODES.ARTIFACT_INVALID);
+});
+
+test('parseConverterError() finds the row of a converter error', () => {
+  assert.deepEqual(parseConverterError('Error: line #12 -- 1JN 1:1 -- ab01 -- Unable to find QUOTE'), { reference: '1:1', id: 'ab01' });
+  assert.equal(parseConverterError('Unable to find QUOTE'), null);
+});
+
+test('writeErrorsToFile() writes codes and warnings to a file or directory, or nothing', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-errors-'));
+  try {
+    const errors = [{ file: 'tn_1JN.tsv', error: 'fetch failed' }];
+    const warnings = [{ code: ERROR_CODES.TSV_MALFORMED, file: 'tn_1JN.tsv', line: 3, warning: 'Has 4 column(s), the header has 5' }];
+    const file = path.join(dir, 'out', 'run-errors.json');
+    assert.equal(writeErrorsToFile(errors, file, logger, warnings), file);
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(written.errors, [{ code: ERROR_CODES.NETWORK, ...errors[0] }]);
+    assert.deepEqual(written.warnings, warnings);
+
+    assert.equal(writeErrorsToFile(errors, dir, logger), path.join(dir, 'errors.json'));
+    assert.equal(writeErrorsToFile(errors, null, logger), null);
+    assert.equal(writeErrorsToFile([], path.join(dir, 'none.json'), logger), null);
+
+    // Warnings alone are only written to an explicit errors file, which is written even without any
+    assert.equal(writeErrorsToFile([], path.join(dir, 'warnings.json'), logger, warnings), null);
+    assert.equal(writeErrorsToFile([], path.join(dir, 'warnings.json'), logger, warnings, { always: true }), path.join(dir, 'warnings.json'));
+    assert.equal(writeErrorsToFile([], path.join(dir, 'empty.json'), logger, [], { always: true }), path.join(dir, 'empty.json'));
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'empty.json'), 'utf8')).errors, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('malformed TSV lines and unusable previous sources are warnings with a code', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-errors-'));
+  fs.writeFileSync(
+    path.join(dir, 'tn_1JN.tsv'),
+    'Reference\tID\tQuote\tOccurrence\tNote\n1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tnote one\n1:2\tab02\tnote two\n',
+    'utf8',
+  );
+  try {
+    const { errors, warnings } = await processTsvFiles({
+      workingdir: dir,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      offline: true,
+      resourceCache,
+      previous: path.join(dir, 'missing'),
+      quoteCache: false,
+      dryRun: true,
+      quiet: true,
+    });
+    assert.deepEqual(errors, []);
+    assert.ok(warnings.some((warning) => warning.code === ERROR_CODES.TSV_MALFORMED && warning.file === 'tn_1JN.tsv' && warning.line === 3));
+    assert.ok(warnings.some((warning) => warning.code === ERROR_CODES.ARTIFACT_INVALID));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fetchWithRetry, parseRetryAfter } from '../index.js';
+
+const quiet = { log: () => {} };
+
+// A server answering the n-th request with responses[n], the last one repeated
+async function startServer(responses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.headers);
+    responses[Math.min(received.length - 1, responses.length - 1)](res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    requests: () => received.length,
+    received,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+const status = (code, headers = {}) => (res) => {
+  res.writeHead(code, headers);
+  res.end(String(code));
+};
+
+test('fetchWithRetry() retries 5xx and 429 responses, respecting Retry-After', async () => {
+  const server = await startServer([status(503, { 'Retry-After': '0' }), status(429, { 'Retry-After': '0' }), status(200)]);
+  try {
+    // Retry-After replaces the backoff of 10s and 20s
+    const started = Date.now();
+    const res = await fetchWithRetry(server.url, { retries: 3, retryDelay: 10000, logger: quiet });
+    assert.equal(await res.text(), '200');
+    assert.equal(server.requests(), 3);
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchWithRetry() returns other responses and the last failed one as they are', async () => {
+  const notFound = await startServer([status(404)]);
+  const failing = await startServer([status(502)]);
+  try {
+    assert.equal((await fetchWithRetry(notFound.url, { retryDelay: 1, logger: quiet })).status, 404);
+    assert.equal(notFound.requests(), 1);
+    assert.equal((await fetchWithRetry(failing.url, { retries: 2, retryDelay: 1, logger: quiet })).status, 502);
+    assert.equal(failing.requests(), 3);
+  } finally {
+    await notFound.close();
+    await failing.close();
+  }
+});
+
+test('fetchWithRetry() times out and retries requests without a response', async () => {
+  const server = await startServer([() => {}, status(200)]);
+  const hanging = await startServer([() => {}]);
+  try {
+    assert.equal((await fetchWithRetry(server.url, { timeout: 0.2, retries: 1, retryDelay: 1, logger: quiet })).status, 200);
+    assert.equal(server.requests(), 2);
+    await assert.rejects(fetchWithRetry(hanging.url, { timeout: 0.2, retries: 1, retryDelay: 1, logger: quiet }), /Timed out after 0.2s/);
+    assert.equal(hanging.requests(), 2);
+  } finally {
+    await server.close();
+    await hanging.close();
+  }
+});
+
+test('fetchWithRetry() times out and retries a stalled body', { timeout: 5000 }, async () => {
+  const stalled = (res) => {
+    res.writeHead(200, { 'Content-Length': '10' });
+    res.write('12345');
+  };
+  const server = await startServer([stalled, status(200)]);
+  try {
+    const res = await fetchWithRetry(server.url, { timeout: 0.2, retries: 1, retryDelay: 1, logger: quiet });
+    assert.equal(await res.text(), '200');
+    assert.equal(server.requests(), 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchWithRetry() reaches local servers directly when a proxy is set, leaving NO_PROXY as it is', async () => {
+  const server = await startServer([status(200)]);
+  const env = { HTTP_PROXY: process.env.HTTP_PROXY, NO_PROXY: process.env.NO_PROXY, no_proxy: process.env.no_proxy };
+  // Nothing listens on port 9 (discard), so a request through the proxy would fail
+  process.env.HTTP_PROXY = 'http://127.0.0.1:9';
+  delete process.env.NO_PROXY;
+  delete process.env.no_proxy;
+  try {
+    assert.equal((await fetchWithRetry(server.url, { retries: 0, logger: quiet })).status, 200);
+    assert.equal(process.env.NO_PROXY, undefined);
+  } finally {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    await server.close();
+  }
+});
+
+test('fetchWithRetry() gives up on network errors after the retries', async () => {
+  const server = await startServer([status(200)]);
+  const { url } = server;
+  await server.close();
+  const retried = [];
+  await assert.rejects(
+    fetchWithRetry(url, { retries: 2, retryDelay: 1, logger: { log: (message) => retried.push(message) } }),
+    /fetch failed/,
+  );
+  assert.equal(retried.length, 2);
+  assert.match(retried[0], /ECONNREFUSED/);
+});
+
+test('fetchWithRetry() sends the token to the given origins only', async () => {
+  const server = await startServer([status(200)]);
+  try {
+    const origin = new URL(server.url).origin;
+    await fetchWithRetry(server.url, { token: 'abc', authOrigins: [origin], logger: quiet });
+    await fetchWithRetry(server.url, { token: 'abc', authOrigins: ['https://git.door43.org'], logger: quiet });
+    await fetchWithRetry(server.url, { token: 'abc', headers: { Accept: 'application/json' }, logger: quiet });
+  } finally {
+    await server.close();
+  }
+  assert.deepEqual(server.received.map((headers) => headers.authorization), ['token abc', undefined, 'token abc']);
+  assert.equal(server.received[2].accept, 'application/json');
+});
+
+test('parseRetryAfter() reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+  assert.equal(parseRetryAfter('86400'), 120000);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createLogger, getBibleCandidates, getTargetBibleLink, parseRelation, selectManifestBible } from '../index.js';
+
+const logger = createLogger({ quiet: true });
+
+function withManifest(manifest, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-manifest-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'manifest.yaml'), manifest, 'utf8');
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('parseRelation() understands lang/id?v=N', () => {
+  assert.deepEqual(parseRelation('en/ult?v=84'), { relation: 'en/ult?v=84', language: 'en', id: 'ult', version: '84' });
+  assert.deepEqual(parseRelation(' es-419/GLT '), { relation: 'es-419/GLT', language: 'es-419', id: 'glt', version: null });
+  assert.equal(parseRelation('el-x-koine/ugnt?v=0.34').version, '0.34');
+  assert.equal(parseRelation('https://git.door43.org/unfoldingWord/en_ult'), null);
+});
+
+test('Bibles in the language of the resource are preferred, then glt, gst, ult and ust', () => {
+  const manifest = [
+    'dublin_core:',
+    '  language:',
+    '    identifier: es-419',
+    '  relation:',
+    '    - en/ult?v=84',
+    '    - es-419/tw',
+    '    - el-x-koine/ugnt?v=0.34',
+    '    - es-419/gst',
+    '    - es-419/glt?v=12',
+    '',
+  ].join('\n');
+  withManifest(manifest, (dir) => {
+    assert.deepEqual(getBibleCandidates(dir, 'es-419_gl').candidates.map((candidate) => candidate.bibleLink), [
+      'es-419_gl/es-419_glt/v12',
+      'unfoldingWord/es-419_glt/v12',
+      'es-419_gl/es-419_gst/master',
+      'unfoldingWord/es-419_gst/master',
+      'es-419_gl/en_ult/v84',
+      'unfoldingWord/en_ult/v84',
+    ]);
+    assert.equal(getTargetBibleLink(dir, 'es-419_gl'), 'es-419_gl/es-419_glt/v12');
+  });
+});
+
+test('getTargetBibleLink() explains manifests without a usable relation', () => {
+  withManifest('dublin_core:\n  identifier: tn\n', (dir) => {
+    assert.equal(getTargetBibleLink(dir, 'unfoldingWord'), null);
+  });
+  withManifest('dublin_core:\n  relation:\n    - en/ta\n    - en/tw\n', (dir) => {
+    assert.throws(() => getTargetBibleLink(dir, 'unfoldingWord'), /list no Bible to use for GL quotes \(glt, gst, ult, ust\): en\/ta, en\/tw/);
+  });
+});
+
+test('selectManifestBible() skips repos that are missing or not aligned Bibles', async () => {
+  const repos = {
+    '/api/v1/repos/unfoldingWord/es-419_glt': { subject: 'Bible' },
+    '/api/v1/repos/unfoldingWord/en_ult': { subject: 'Aligned Bible' },
+  };
+  const server = http.createServer((req, res) => {
+    const repo = repos[req.url];
+    res.writeHead(repo ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(repo || { message: 'Not found' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const dcsUrl = `http://127.0.0.1:${server.address().port}`;
+  const candidates = [
+    { relation: 'es-419/glt', bibleLink: 'es-419_gl/es-419_glt/master' },
+    { relation: 'es-419/glt', bibleLink: 'unfoldingWord/es-419_glt/master' },
+    { relation: 'en/ult?v=84', bibleLink: 'unfoldingWord/en_ult/v84' },
+  ];
+  try {
+    assert.equal(await selectManifestBible(dcsUrl, candidates, logger), 'unfoldingWord/en_ult/v84');
+    await assert.rejects(selectManifestBible(dcsUrl, candidates.slice(0, 2), logger), (error) => {
+      assert.match(error.message, /es-419_gl\/es-419_glt\/master \(relation es-419\/glt\): not found/);
+      assert.match(error.message, /unfoldingWord\/es-419_glt\/master \(relation es-419\/glt\): is a Bible repo, not an Aligned Bible/);
+      return true;
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,186 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import AdmZip from 'adm-zip';
+import { createLogger, mergePreviousGLQuotes, processTsvFiles } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixtures = path.resolve(__dirname, '..', 'fixtures', 'previous');
+
+const logger = createLogger({ quiet: true });
+
+function runWithPrevious(previous) {
+  return processTsvFiles({
+    workingdir: path.join(fixtures, 'repo'),
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    previous,
+    offline: true,
+    summaryOnly: true,
+    logger,
+  });
+}
+
+function assertMergedFromPrevious({ results }) {
+  assert.equal(results.length, 1);
+  const [result] = results;
+  assert.equal(result.matchedCount, 2);
+  assert.equal(result.missingCount, 1);
+  const rows = result.output.split('\n').map(l => l.split('\t'));
+  assert.deepEqual(rows[1].slice(6, 8), ['what was from the beginning', '1']);
+  assert.deepEqual(rows[2].slice(6, 8), ['we have heard', '1']);
+  assert.deepEqual(rows[3].slice(6, 8), ['', '']);
+}
+
+test('--previous accepts a local directory of previously generated TSV files', async () => {
+  assertMergedFromPrevious(await runWithPrevious(path.join(fixtures, 'output')));
+});
+
+test('--previous accepts a local zip file, with files at the root or nested in a folder', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-previous-'));
+  try {
+    const rootZip = new AdmZip();
+    rootZip.addLocalFile(path.join(fixtures, 'output', 'tn_1JN.tsv'));
+    rootZip.writeZip(path.join(tmpDir, 'en_tn_master_with_gl_quotes.zip'));
+    assertMergedFromPrevious(await runWithPrevious(path.join(tmpDir, 'en_tn_master_with_gl_quotes.zip')));
+
+    const nestedZip = new AdmZip();
+    nestedZip.addLocalFile(path.join(fixtures, 'output', 'tn_1JN.tsv'), 'en_tn/');
+    nestedZip.writeZip(path.join(tmpDir, 'en_tn.zip'));
+    assertMergedFromPrevious(await runWithPrevious(path.join(tmpDir, 'en_tn.zip')));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('a missing previous source leaves all rows to generate', async () => {
+  const errors = [];
+  const { results } = await processTsvFiles({
+    workingdir: path.join(fixtures, 'repo'),
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    previous: path.join(fixtures, 'does-not-exist'),
+    summaryOnly: true,
+    logger: { ...logger, error: (...args) => errors.push(args.join(' ')) },
+  });
+  assert.equal(results[0].matchedCount, 0);
+  assert.equal(results[0].missingCount, 3);
+  assert.match(errors[0], /does not exist/);
+});
+
+test('the artifacts of private repos are listed and downloaded with the DCS token, which is never shown', async () => {
+  const zip = new AdmZip();
+  zip.addLocalFile(path.join(fixtures, 'output', 'tn_1JN.tsv'));
+  const server = http.createServer((req, res) => {
+    if (req.headers.authorization !== 'token s3cret') {
+      res.writeHead(401);
+      return res.end();
+    }
+    if (req.url.startsWith('/api/v1/repos/unfoldingWord/en_tn/actions/artifacts?')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ artifacts: [{ id: 7, name: 'en_tn_master_with_gl_quotes', expired: false, archive_download_url: `${url}/artifacts/7.zip` }] }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/zip' });
+    res.end(zip.toBuffer());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const run = (token) => processTsvFiles({
+    workingdir: path.join(fixtures, 'repo'),
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    dcsUrl: url,
+    artifactsBaseUrl: url,
+    token,
+    retries: 0,
+    summaryOnly: true,
+    logger,
+  });
+  try {
+    const authorized = await run('s3cret');
+    assertMergedFromPrevious(authorized);
+    assert.doesNotMatch(JSON.stringify(authorized.settings), /s3cret/);
+
+    const { results, warnings } = await run(undefined);
+    assert.equal(results[0].matchedCount, 0);
+    assert.match(warnings[0].warning, /401 Unauthorized \(a private repo needs --token or DCS_TOKEN\)/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('mergePreviousGLQuotes falls back to ID within the chapter, then to the normalized quote', () => {
+  const previous = [
+    'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote',
+    '1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\twhat was from the beginning\t1\tnote one',
+    '1:1\tab02\tἀκηκόαμεν\t1\twe have heard\t1\tnote two',
+    '1:2\tab03\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1\tnote three',
+    '1:3\tab04\tἑωράκαμεν\t1\twe have seen\t1\tnote four',
+  ].join('\n');
+  const current = [
+    'Reference\tID\tQuote\tOccurrence\tNote',
+    '1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tunchanged',
+    '1:2\tab02\tἀκηκόαμεν\t1\tmoved to the next verse',
+    '1:2\tzz99\t'.concat('ἡ ζωὴ ἐφανερώθη'.normalize('NFD'), ' \t1\tre-ID\'d, NFD and a trailing space'),
+    '1:3\tab04\tἑωράκαμεν καὶ\t1\tquote changed',
+  ].join('\n');
+
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_1JN.tsv', logger });
+  const rows = merged.output.split('\n').map(l => l.split('\t'));
+  assert.equal(rows[1][4], 'what was from the beginning');
+  assert.equal(rows[2][4], 'we have heard');
+  assert.equal(rows[3][4], 'the life was revealed');
+  assert.equal(rows[4][4], '');
+  assert.equal(merged.matchedCount, 3);
+  assert.deepEqual(merged.matchedByTier, { exact: 1, id: 1, quote: 1 });
+  assert.equal(merged.missingCount, 1);
+});
+
+test('mergePreviousGLQuotes leaves a row whose exact match has no GL quote to generate', () => {
+  const previous = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\n'
+    + '1:1\tab01\tλόγος\t1\t\t\n'
+    + '1:2\tab02\tλόγος\t1\tthe word\t1';
+  const current = 'Reference\tID\tQuote\tOccurrence\n1:1\tab01\tλόγος\t1';
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_JHN.tsv', logger });
+  // Not the GL quote of the same quote in the next verse
+  assert.equal(merged.output.split('\n')[1].split('\t')[4], '');
+  assert.equal(merged.matchedCount, 0);
+  assert.equal(merged.missingCount, 1);
+});
+
+test('mergePreviousGLQuotes does not match an ID in another chapter', () => {
+  const previous = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\n1:1\tab01\tλόγος\t1\tword\t1';
+  const current = 'Reference\tID\tQuote\tOccurrence\n2:1\tab01\tλόγος\t1';
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_1JN.tsv', logger });
+  assert.equal(merged.matchedCount, 0);
+  assert.equal(merged.missingCount, 1);
+});
+
+test('mergePreviousGLQuotes keeps the GL quotes a TSV already has and only fills the empty ones', () => {
+  const previous = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\n'
+    + '1:1\tab01\tλόγος\t1\tthe word\t1\n'
+    + '1:2\tab02\tθεός\t1\tGod\t1';
+  const current = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n'
+    + '1:1\tab01\tλόγος\t1\tthe Word\t1\tedited by hand\n'
+    + '1:2\tab02\tθεός\t1\t\t\tnew note\n';
+  const merged = mergePreviousGLQuotes(current, previous, { fileName: 'tn_JHN.tsv', logger });
+  assert.equal(merged.output, 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n'
+    + '1:1\tab01\tλόγος\t1\tthe Word\t1\tedited by hand\n'
+    + '1:2\tab02\tθεός\t1\tGod\t1\tnew note\n');
+  assert.equal(merged.existingCount, 1);
+  assert.equal(merged.matchedCount, 1);
+  assert.equal(merged.missingCount, 0);
+
+  // Merging again into its own output changes nothing
+  assert.equal(mergePreviousGLQuotes(merged.output, previous, { fileName: 'tn_JHN.tsv', logger }).output, merged.output);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { bookCodeFromFileName, findProjectFiles, globToRegExp, processTsvFiles } from '../index.js';
+
+function makeTree(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-projects-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content, 'utf8');
+  }
+  return dir;
+}
+
+const HEADER = 'Reference\tID\tTags\tQuote\tOccurrence\tNote';
+
+test('book codes are taken from the first known part of the file name after the prefix', () => {
+  assert.equal(bookCodeFromFileName('tn_1JN.tsv'), '1jn');
+  assert.equal(bookCodeFromFileName('tn_1JN_draft.tsv'), '1jn');
+  assert.equal(bookCodeFromFileName('notes/twl_GEN.tsv'), 'gen');
+  assert.equal(bookCodeFromFileName('tn_OBS.tsv'), 'obs');
+  assert.equal(bookCodeFromFileName('63-1JN.tsv'), '1jn');
+});
+
+test('globs match paths relative to the working directory', () => {
+  assert.ok(globToRegExp('**/*_*.tsv').test('tn_GEN.tsv'));
+  assert.ok(globToRegExp('**/*_*.tsv').test('a/b/tn_GEN.tsv'));
+  assert.ok(!globToRegExp('*_*.tsv').test('a/tn_GEN.tsv'));
+  assert.ok(globToRegExp('{tn,twl}_*.tsv').test('twl_GEN.tsv'));
+  assert.ok(!globToRegExp('{tn,twl}_*.tsv').test('tq_GEN.tsv'));
+});
+
+test('files are found recursively with the glob, skipping files without a book and written outputs', () => {
+  const dir = makeTree({
+    'tn_GEN.tsv': HEADER,
+    'tn_GEN_gl.tsv': HEADER,
+    'drafts/tn_1JN_draft.tsv': HEADER,
+    'tn_OBS.tsv': HEADER,
+    'notes_misc.tsv': HEADER,
+    'node_modules/x/tn_MAT.tsv': HEADER,
+  });
+  try {
+    assert.deepEqual(findProjectFiles(dir, { tsvSuffix: 'gl' }), [
+      { file: 'drafts/tn_1JN_draft.tsv', bookCode: '1jn' },
+      { file: 'tn_GEN.tsv', bookCode: 'gen' },
+      { file: 'tn_OBS.tsv', bookCode: 'obs' },
+    ]);
+    assert.deepEqual(findProjectFiles(dir, { glob: 'tn_*.tsv' }).map(p => p.file), ['tn_GEN.tsv', 'tn_GEN_gl.tsv', 'tn_OBS.tsv']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('manifest.yaml projects take precedence over the glob', () => {
+  const dir = makeTree({
+    'manifest.yaml': 'projects:\n  - identifier: rut\n    path: ./content/notes-ruth.tsv\n  - identifier: mat\n    path: ./tn_MAT.tsv\n  - identifier: frt\n    path: ./front\n',
+    'content/notes-ruth.tsv': HEADER,
+    'tn_GEN.tsv': HEADER,
+  });
+  const lines = [];
+  try {
+    const logger = { log: (...args) => lines.push(args.join(' ')), vlog: () => {} };
+    assert.deepEqual(findProjectFiles(dir, { logger }), [{ file: 'content/notes-ruth.tsv', bookCode: 'rut' }]);
+    assert.ok(lines.some(l => l.includes('tn_MAT.tsv') && l.includes('not found')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('OBS files keep their previous GL quotes and are never sent for generation', async () => {
+  const previous = makeTree({
+    'tn_OBS.tsv': 'Reference\tID\tTags\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n1:1\tab12\t\tGod\t1\tGod\t1\tnote\n',
+  });
+  const dir = makeTree({
+    'tn_OBS.tsv': `${HEADER}\n1:1\tab12\t\tGod\t1\tnote\n1:2\tcd34\t\tearth\t1\tnote\n`,
+  });
+  try {
+    const { results, errors } = await processTsvFiles({
+      workingdir: dir,
+      owner: 'unfoldingWord',
+      repo: 'en_obs-tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      previous,
+      offline: true,
+      resourceCache: path.join(dir, '.cache'),
+      quoteCache: false,
+      zip: true,
+      outputZipFile: path.join(dir, 'out.zip'),
+      quiet: true,
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(results[0].bookCode, 'obs');
+    assert.equal(results[0].generation, 'none');
+    assert.equal(results[0].missingCount, 1);
+    assert.match(results[0].output, /^1:1\tab12\t\tGod\t1\tGod\t1\tnote$/m);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(previous, { recursive: true, force: true });
+  }
+});
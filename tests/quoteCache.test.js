@@ -0,0 +1,134 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  applyQuoteCache,
+  clearQuoteCache,
+  createLogger,
+  loadQuoteCache,
+  processTsvFiles,
+  saveQuoteCache,
+  updateQuoteCache,
+} from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixtures = path.resolve(__dirname, '..', 'fixtures', 'previous');
+
+const logger = createLogger({ quiet: true });
+const bibleLinks = ['unfoldingWord/en_ult/master'];
+
+test('quote cache remembers usable GL quotes and fills them into rows that need one', () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-quote-cache-'));
+  try {
+    const generated = fs.readFileSync(path.join(fixtures, 'output', 'tn_1JN.tsv'), 'utf8')
+      + '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tQUOTE_NOT_FOUND: ἡ ζωὴ ἐφανερώθη\t1\tnote three\n';
+    const cache = loadQuoteCache(cacheDir, bibleLinks, '1jn');
+    assert.equal(updateQuoteCache(cache, generated), 2);
+    saveQuoteCache(cache);
+    assert.ok(fs.existsSync(path.join(cacheDir, 'unfoldingWord_en_ult_master', '1JN.json')));
+
+    const reloaded = loadQuoteCache(cacheDir, bibleLinks, '1jn');
+    assert.equal(reloaded.rows.size, 2);
+    const empty = generated.replace('what was from the beginning\t1', '\t').replace('we have heard\t1', '\t');
+    const { output, hits } = applyQuoteCache(empty, reloaded);
+    assert.equal(hits, 2);
+    assert.equal(output.split('\n')[1].split('\t')[6], 'what was from the beginning');
+
+    // Another Bible link has its own cache
+    assert.equal(loadQuoteCache(cacheDir, ['unfoldingWord/en_ult/v84'], '1jn').rows.size, 0);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('quote cache built from another commit of the same Bible link is a miss', () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-quote-cache-'));
+  try {
+    const cache = loadQuoteCache(cacheDir, bibleLinks, '1jn', 'aaa');
+    updateQuoteCache(cache, fs.readFileSync(path.join(fixtures, 'output', 'tn_1JN.tsv'), 'utf8'));
+    saveQuoteCache(cache);
+    const sameCommit = loadQuoteCache(cacheDir, bibleLinks, '1jn', 'aaa');
+    assert.ok(sameCommit.rows.size > 0);
+    assert.equal(sameCommit.staleCommit, null);
+    // Unpinned, e.g. offline, the cached rows are used as they are
+    assert.equal(loadQuoteCache(cacheDir, bibleLinks, '1jn').bibleCommit, 'aaa');
+
+    const newCommit = loadQuoteCache(cacheDir, bibleLinks, '1jn', 'bbb');
+    assert.equal(newCommit.rows.size, 0);
+    assert.equal(newCommit.staleCommit, 'aaa');
+    assert.equal(newCommit.bibleCommit, 'bbb');
+    assert.equal(newCommit.dirty, true);
+
+    clearQuoteCache(sameCommit, 'ccc');
+    saveQuoteCache(sameCommit);
+    const cleared = loadQuoteCache(cacheDir, bibleLinks, '1jn', 'ccc');
+    assert.equal(cleared.rows.size, 0);
+    assert.equal(cleared.bibleCommit, 'ccc');
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('processTsvFiles consults the quote cache before deciding what to generate', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-quote-cache-'));
+  try {
+    const cache = loadQuoteCache(cacheDir, bibleLinks, '1jn');
+    updateQuoteCache(cache, fs.readFileSync(path.join(fixtures, 'output', 'tn_1JN.tsv'), 'utf8'));
+    saveQuoteCache(cache);
+
+    const options = {
+      workingdir: path.join(fixtures, 'repo'),
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks,
+      offline: true,
+      summaryOnly: true,
+      cacheDir,
+      logger,
+    };
+    const { results } = await processTsvFiles(options);
+    assert.equal(results[0].quoteCacheHits, 2);
+    assert.equal(results[0].missingCount, 1);
+
+    const disabled = await processTsvFiles({ ...options, quoteCache: false });
+    assert.equal(disabled.results[0].quoteCacheHits, 0);
+    assert.equal(disabled.results[0].missingCount, 3);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('processTsvFiles only remembers the GL quotes it generated, not the previous ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-quote-cache-'));
+  const workingdir = path.join(dir, 'repo');
+  const cacheDir = path.join(dir, 'cache');
+  fs.cpSync(path.join(fixtures, 'repo'), workingdir, { recursive: true });
+  try {
+    const { results, errors } = await processTsvFiles({
+      workingdir,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks,
+      offline: true,
+      resourceCache: path.resolve(__dirname, '..', 'fixtures', 'resources'),
+      previous: path.join(fixtures, 'output'),
+      cacheDir,
+      zip: false,
+      logger,
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(results[0].matchedCount, 2);
+    assert.equal(results[0].generation, 'partial');
+    // Only the row the previous GL quotes had none for
+    const cache = loadQuoteCache(cacheDir, bibleLinks, '1jn');
+    assert.deepEqual([...cache.rows.keys()].map((key) => key.split('\u241F')[1]), ['ab03']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { processTsvFiles } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixtures = path.resolve(__dirname, '..', 'fixtures', 'previous');
+
+test('--report writes the per book counts of a run as JSON', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-report-'));
+  const reportFile = path.join(tmpDir, 'reports', 'report.json');
+  try {
+    const { report } = await processTsvFiles({
+      workingdir: path.join(fixtures, 'repo'),
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      previous: path.join(fixtures, 'output'),
+      // Nothing is cached, so generating the missing row fails and falls back to the merged TSV
+      offline: true,
+      resourceCache: tmpDir,
+      quoteCache: false,
+      zip: true,
+      outputZipFile: path.join(tmpDir, 'out.zip'),
+      report: reportFile,
+      quiet: true,
+    });
+
+    const written = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    assert.deepEqual(written, JSON.parse(JSON.stringify(report)));
+    assert.deepEqual(written.bibleLinks, ['unfoldingWord/en_ult/master']);
+    assert.equal(written.previous.source, path.join(fixtures, 'output'));
+    assert.equal(written.aborted, false);
+
+    const [book] = written.books;
+    assert.equal(book.file, 'tn_1JN.tsv');
+    assert.equal(book.bookCode, '1JN');
+    assert.equal(book.rows, 3);
+    assert.equal(book.matched, 2);
+    assert.deepEqual(book.matchedByTier, { exact: 2, id: 0, quote: 0 });
+    assert.equal(book.toGenerate, 1);
+    assert.equal(book.generation, 'fallback');
+    assert.equal(book.fallback, true);
+    assert.equal(book.generated, 0);
+    assert.equal(book.stillMissing, 1);
+    assert.ok(book.error);
+    assert.equal(typeof book.durationMs, 'number');
+    assert.deepEqual(
+      { books: written.totals.books, rows: written.totals.rows, fallbacks: written.totals.fallbacks, errors: written.totals.errors },
+      { books: 1, rows: 3, fallbacks: 1, errors: 1 },
+    );
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
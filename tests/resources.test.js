@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createLogger, startResourceServer } from '../index.js';
+
+const logger = createLogger({ quiet: true });
+
+function makeCacheDir() {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-resources-'));
+  fs.mkdirSync(path.join(cacheDir, 'unfoldingWord', 'el-x-koine_ugnt', 'v0.34'), { recursive: true });
+  fs.writeFileSync(path.join(cacheDir, 'unfoldingWord', 'el-x-koine_ugnt', 'repo.json'), JSON.stringify({ catalog: { prod: { branch_or_tag_name: 'v0.34' } } }));
+  fs.writeFileSync(path.join(cacheDir, 'unfoldingWord', 'el-x-koine_ugnt', 'v0.34', '63-1JN.usfm'), '\\id 1JN\n\\c 1\n\\v 1 Ὃ ἦν ἀπ’ ἀρχῆς\n');
+  return cacheDir;
+}
+
+test('resource server answers the DCS API calls of tsv-quote-converters from the cache', async () => {
+  const cacheDir = makeCacheDir();
+  const server = await startResourceServer({ cacheDir, dcsUrl: 'http://127.0.0.1:9', offline: true, logger });
+  try {
+    const info = await (await fetch(`${server.url}/api/v1/repos/unfoldingWord/el-x-koine_ugnt`)).json();
+    assert.equal(info.catalog.prod.branch_or_tag_name, 'v0.34');
+
+    const res = await fetch(`${server.url}/api/v1/repos/unfoldingWord/el-x-koine_ugnt/contents/63-1JN.usfm?ref=v0.34`);
+    assert.equal(res.status, 200);
+    const { content } = await res.json();
+    assert.match(Buffer.from(content, 'base64').toString('utf8'), /Ὃ ἦν ἀπ’ ἀρχῆς/);
+  } finally {
+    await server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('resource server in offline mode answers 404 for uncached resources without fetching', async () => {
+  const cacheDir = makeCacheDir();
+  const server = await startResourceServer({ cacheDir, dcsUrl: 'http://127.0.0.1:9', offline: true, logger });
+  try {
+    const res = await fetch(`${server.url}/api/v1/repos/unfoldingWord/en_ult/contents/63-1JN.usfm?ref=master`);
+    assert.equal(res.status, 404);
+    const traversal = await fetch(`${server.url}/api/v1/repos/unfoldingWord/..%2F..%2Fetc/contents/passwd?ref=master`);
+    assert.notEqual(traversal.status, 200);
+  } finally {
+    await server.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { spawn } from 'node:child_process';
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
@@ -18,15 +19,14 @@ function runCliAndCaptureSummary(workdir) {
 
     let stdout = '';
     let stderr = '';
-    let resolved = false;
+    let summary = null;
 
     const onLine = (line) => {
       // Look for the concise summary line
       if (/^Summary for .*twl_GEN\.tsv:/.test(line)) {
         const m = line.match(/to-generate=(\d+).*total=(\d+)/);
         if (m) {
-          resolved = true;
-          resolve({ toGenerate: Number(m[1]), total: Number(m[2]), line });
+          summary = { toGenerate: Number(m[1]), total: Number(m[2]), line };
         }
       }
     };
@@ -37,8 +37,11 @@ function runCliAndCaptureSummary(workdir) {
     });
     child.stderr.on('data', (data) => { stderr += data.toString(); });
     child.on('error', reject);
+    // Resolved once the CLI is done, so that files it writes at the end are written
     child.on('exit', (code) => {
-      if (!resolved) {
+      if (summary) {
+        resolve(summary);
+      } else {
         reject(new Error(`CLI exited before emitting summary. code=${code}\nstdout=\n${stdout}\nstderr=\n${stderr}`));
       }
     });
@@ -46,7 +49,12 @@ function runCliAndCaptureSummary(workdir) {
 }
 
 test('selection logic counts QUOTE_NOT_FOUND and empty GLQuote correctly', async () => {
-  const { toGenerate, total, line } = await runCliAndCaptureSummary(path.resolve(__dirname, '..', 'fixtures', 'selection'));
+  const workdir = path.resolve(__dirname, '..', 'fixtures', 'selection');
+  const errorsJson = fs.readFileSync(path.join(workdir, 'errors.json'), 'utf8');
+  const { toGenerate, total, line } = await runCliAndCaptureSummary(workdir);
+  // A summary-only run writes no errors.json
+  assert.equal(fs.readFileSync(path.join(workdir, 'errors.json'), 'utf8'), errorsJson);
+  assert.ok(!fs.existsSync(path.resolve(__dirname, '..', 'errors.json')));
   // In our fixture: 3 missing (rowA empty GLQuote, rowB GLQuote=QUOTE_NOT_FOUND, rowC OrigWords=QUOTE_NOT_FOUND), total includes header so expect 6
   assert.equal(total, 6, `Expected total=6 but saw: ${line}`);
   assert.equal(toGenerate, 3, `Expected to-generate=3 but saw: ${line}`);
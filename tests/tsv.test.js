@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  addEmptyGLQuoteColumns,
+  mergePreviousGLQuotes,
+  processTsvFiles,
+  readTsv,
+  toConverterTsv,
+  validateTsvStructure,
+  writeTsv,
+} from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+const silent = { log() {}, vlog() {}, dlog() {}, error() {} };
+
+test('readTsv() and writeTsv() round-trip BOM, CRLF, mixed line endings and a trailing newline', () => {
+  for (const content of [
+    '\uFEFFReference\tID\r\n1:1\tab01\r\n',
+    'Reference\tID\n1:1\tab01\r\n\n1:2\tab02',
+    'Reference\tID\n1:1\tab01\tragged\n',
+  ]) {
+    assert.equal(writeTsv(readTsv(content)), content);
+  }
+  const tsv = readTsv('\uFEFFReference\tID\r\n1:1\tab01\r\n');
+  assert.equal(tsv.bom, true);
+  assert.deepEqual(tsv.rows, [['Reference', 'ID'], ['1:1', 'ab01']]);
+  assert.deepEqual(tsv.eols, ['\r\n', '\r\n']);
+});
+
+test('toConverterTsv() drops blank lines and evens out ragged rows', () => {
+  const content = '\uFEFFReference\tID\tQuote\r\n1:1\tab01\r\n\r\n1:2\tab02\tq\textra\r\n';
+  assert.equal(toConverterTsv(content), 'Reference\tID\tQuote\n1:1\tab01\t\n1:2\tab02\tq');
+});
+
+test('adding and merging GL quote columns keeps CRLF, BOM, blank lines and ragged rows', () => {
+  const content = '\uFEFFReference\tID\tQuote\tOccurrence\tNote\r\n'
+    + '1:1\tab01\tὋ ἦν\t1\tnote one\r\n'
+    + '\r\n'
+    + '1:2\tab02\r\n';
+  assert.equal(addEmptyGLQuoteColumns(content, silent), '\uFEFFReference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\r\n'
+    + '1:1\tab01\tὋ ἦν\t1\t\t\tnote one\r\n'
+    + '\r\n'
+    + '1:2\tab02\r\n');
+
+  const previous = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n1:1\tab01\tὋ ἦν\t1\tWhat was\t1\told note\n';
+  const merged = mergePreviousGLQuotes(content, previous, { fileName: 'tn_1JN.tsv', logger: silent });
+  assert.equal(merged.output, '\uFEFFReference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\r\n'
+    + '1:1\tab01\tὋ ἦν\t1\tWhat was\t1\tnote one\r\n'
+    + '\r\n'
+    + '1:2\tab02\r\n');
+});
+
+test('addEmptyGLQuoteColumns() never duplicates GL quote columns', () => {
+  const withColumns = 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\n1:1\tab01\tλόγος\t1\tthe Word\t1\n';
+  assert.equal(addEmptyGLQuoteColumns(withColumns, silent), withColumns);
+  assert.equal(
+    addEmptyGLQuoteColumns('Reference\tID\tQuote\tOccurrence\tGLQuote\tNote\n1:1\tab01\tλόγος\t1\tthe Word\tnote\n', silent),
+    'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n1:1\tab01\tλόγος\t1\tthe Word\t\tnote\n',
+  );
+});
+
+test('validateTsvStructure() reports malformed rows with their line numbers', () => {
+  const problems = validateTsvStructure('Reference\tID\tQuote\tOccurrence\r\n1:1\tab01\tq\t1\r\n\r\n1:2\tab02\tq\r\n');
+  assert.deepEqual(problems.map(p => p.line), [4]);
+});
+
+test('generated GL quotes are written without touching the rest of a CRLF file with a BOM', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-tsv-'));
+  const content = '\uFEFFReference\tID\tTags\tSupportReference\tQuote\tOccurrence\tNote\r\n'
+    + '1:1\tab01\t\t\tὋ ἦν ἀπ’ ἀρχῆς\t1\tnote one\r\n'
+    + '\r\n'
+    + '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tnote  with  spaces \r\n'
+    + '1:2\tab04\r\n';
+  fs.writeFileSync(path.join(dir, 'tn_1JN.tsv'), content, 'utf8');
+  const run = () => processTsvFiles({
+    workingdir: dir,
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    ref: 'master',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    offline: true,
+    resourceCache,
+    quoteCache: false,
+    quiet: true,
+  });
+  try {
+    await run();
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8'),
+      '\uFEFFReference\tID\tTags\tSupportReference\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\r\n'
+      + '1:1\tab01\t\t\tὋ ἦν ἀπ’ ἀρχῆς\t1\tWhat was from the beginning\t1\tnote one\r\n'
+      + '\r\n'
+      + '1:2\tab03\t\t\tἡ ζωὴ ἐφανερώθη\t1\tthe life was revealed\t1\tnote  with  spaces \r\n'
+      + '1:2\tab04\r\n');
+
+    // Running again on its own output changes nothing
+    const written = fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8');
+    const { results } = await run();
+    assert.equal(results[0].existingCount, 2);
+    assert.equal(results[0].generation, 'none');
+    assert.equal(fs.readFileSync(path.join(dir, 'tn_1JN.tsv'), 'utf8'), written);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
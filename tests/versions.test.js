@@ -0,0 +1,141 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLogger, processTsvFiles, resolveBibleVersion, SOURCES_FILE, startResourceServer } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+const logger = createLogger({ quiet: true });
+
+const MASTER = '1111111111111111111111111111111111111111';
+const TAG = '2222222222222222222222222222222222222222';
+const SHORT = '3333333333333333333333333333333333333333';
+
+// A DCS API with a v84 tag and a master branch for every repo, serving the fixture Bibles at any commit
+async function startMockDcs() {
+  const resources = await startResourceServer({ cacheDir: resourceCache, dcsUrl: 'http://127.0.0.1:9', offline: true, logger });
+  const contentRefs = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const [, kind, ref] = url.pathname.match(/^\/api\/v1\/repos\/[^/]+\/[^/]+\/(tags|branches|git\/commits)\/(.+)$/) || [];
+    if (kind === 'tags') return ref === 'v84' ? send(200, { name: ref, commit: { sha: TAG } }) : send(404, {});
+    if (kind === 'branches') return ref === 'master' ? send(200, { name: ref, commit: { id: MASTER } }) : send(404, {});
+    if (kind === 'git/commits') return ref === '3333333' ? send(200, { sha: SHORT }) : send(404, {});
+    if (url.searchParams.has('ref')) {
+      contentRefs.push(url.searchParams.get('ref'));
+      if (/^[0-9a-f]{40}$/.test(url.searchParams.get('ref'))) url.searchParams.set('ref', 'master');
+    }
+    const proxied = await fetch(`${resources.url}${url.pathname}${url.search}`);
+    res.writeHead(proxied.status, { 'Content-Type': 'application/json' });
+    res.end(await proxied.text());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    contentRefs,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await resources.close();
+    },
+  };
+}
+
+test('resolveBibleVersion() resolves tags, branches and commits', async () => {
+  const dcs = await startMockDcs();
+  try {
+    assert.deepEqual(await resolveBibleVersion(dcs.url, 'unfoldingWord/en_ult/v84'), {
+      bibleLink: 'unfoldingWord/en_ult/v84', ref: 'v84', type: 'tag', commit: TAG, pinnedLink: `unfoldingWord/en_ult/${TAG}`,
+    });
+    assert.equal((await resolveBibleVersion(dcs.url, 'unfoldingWord/en_ult')).commit, MASTER);
+    assert.equal((await resolveBibleVersion(dcs.url, 'unfoldingWord/en_ult/master')).type, 'branch');
+    assert.equal((await resolveBibleVersion(dcs.url, 'unfoldingWord/en_ult/3333333')).commit, SHORT);
+    // A full commit SHA needs no lookup
+    assert.equal((await resolveBibleVersion('http://127.0.0.1:9', `unfoldingWord/en_ult/${TAG.toUpperCase()}`)).commit, TAG);
+    await assert.rejects(resolveBibleVersion(dcs.url, 'unfoldingWord/en_ult/v99'), /v99 is no tag, branch or commit of unfoldingWord\/en_ult/);
+  } finally {
+    await dcs.close();
+  }
+});
+
+test('the Bibles are pinned to a commit, generated from it and recorded in the zip and report', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-versions-'));
+  fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'previous', 'repo', 'tn_1JN.tsv'), path.join(dir, 'tn_1JN.tsv'));
+  const dcs = await startMockDcs();
+  try {
+    const { results, report, zipFile } = await processTsvFiles({
+      workingdir: dir,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      dcsUrl: dcs.url,
+      previous: path.join(dir, 'none'),
+      quoteCache: false,
+      zip: true,
+      logger: { ...logger, error: () => {} },
+    });
+    assert.equal(results[0].error, null);
+    assert.ok(results[0].generatedCount > 0);
+    assert.ok(dcs.contentRefs.includes(MASTER));
+    assert.ok(!dcs.contentRefs.includes('master'));
+    assert.deepEqual(report.bibles, [{ label: null, bibleLink: 'unfoldingWord/en_ult/master', quoteColumn: 'GLQuote', occurrenceColumn: 'GLOccurrence', type: 'branch', commit: MASTER }]);
+    assert.equal(report.books[0].bibles[0].commit, MASTER);
+
+    const sources = JSON.parse(new AdmZip(zipFile).readAsText(SOURCES_FILE));
+    assert.deepEqual(sources.bibles, report.bibles);
+    assert.equal(sources.repo, 'en_tn');
+  } finally {
+    await dcs.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('refreshOnBibleChange regenerates previous GL quotes generated from another commit', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-versions-'));
+  const workingdir = path.join(dir, 'repo');
+  const previous = path.join(dir, 'previous');
+  fs.mkdirSync(workingdir);
+  fs.mkdirSync(previous);
+  fs.writeFileSync(path.join(workingdir, 'tn_1JN.tsv'), 'Reference\tID\tQuote\tOccurrence\tNote\n1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tnote one\n', 'utf8');
+  fs.writeFileSync(path.join(previous, 'tn_1JN.tsv'), 'Reference\tID\tQuote\tOccurrence\tGLQuote\tGLOccurrence\tNote\n1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tan old GL quote\t1\tnote one\n', 'utf8');
+  const recordCommit = (commit) => fs.writeFileSync(path.join(previous, SOURCES_FILE), JSON.stringify({ bibles: [{ label: null, bibleLink: 'unfoldingWord/en_ult/master', commit }] }));
+  const dcs = await startMockDcs();
+  const run = (refreshOnBibleChange) => processTsvFiles({
+    workingdir,
+    owner: 'unfoldingWord',
+    repo: 'en_tn',
+    bibleLinks: 'unfoldingWord/en_ult/master',
+    dcsUrl: dcs.url,
+    previous,
+    quoteCache: false,
+    dryRun: true,
+    refreshOnBibleChange,
+    logger,
+  });
+  try {
+    recordCommit(TAG);
+    assert.match((await run(false)).results[0].output, /an old GL quote/);
+    const refreshed = (await run(true)).results[0];
+    assert.equal(refreshed.matchedCount, 0);
+    assert.match(refreshed.output, /What was from the beginning/);
+
+    // Unchanged, or not recorded by older zip files: the previous GL quotes are kept
+    recordCommit(MASTER);
+    assert.equal((await run(true)).results[0].matchedCount, 1);
+    fs.rmSync(path.join(previous, SOURCES_FILE));
+    assert.equal((await run(true)).results[0].matchedCount, 1);
+  } finally {
+    await dcs.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
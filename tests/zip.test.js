@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+import { processTsvFiles, recordGLQuotesInManifest } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const resourceCache = path.resolve(__dirname, '..', 'fixtures', 'resources');
+
+const MANIFEST = [
+  '# Resource container of the translation notes',
+  'dublin_core:',
+  '  identifier: tn',
+  "  version: '84'",
+  '',
+  'projects:',
+  '  - identifier: 1jn',
+  '    path: ./tn_1JN.tsv',
+  '',
+].join('\n');
+
+test('the zip file is a complete resource container with the GL quote generation recorded in manifest.yaml', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gl-zip-'));
+  const files = {
+    'tn_1JN.tsv': 'Reference\tID\tQuote\tOccurrence\tNote\n1:1\tab01\tὋ ἦν ἀπ’ ἀρχῆς\t1\tnote one\n',
+    'manifest.yaml': MANIFEST,
+    'README.md': '# Notes\n',
+    'LICENSE.md': 'CC BY-SA 4.0\n',
+    'media.yaml': 'projects: []\n',
+    'notes.txt': 'not in the zip\n',
+  };
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content, 'utf8');
+  }
+  try {
+    const { zipFile } = await processTsvFiles({
+      workingdir: dir,
+      owner: 'unfoldingWord',
+      repo: 'en_tn',
+      ref: 'master',
+      bibleLinks: 'unfoldingWord/en_ult/master',
+      offline: true,
+      resourceCache,
+      quoteCache: false,
+      zip: true,
+      zipInclude: 'media.yaml',
+      zipFolder: true,
+      quiet: true,
+    });
+    const zip = new AdmZip(zipFile);
+    assert.deepEqual(zip.getEntries().map((entry) => entry.entryName), [
+      'en_tn/LICENSE.md',
+      'en_tn/manifest.yaml',
+      'en_tn/media.yaml',
+      'en_tn/README.md',
+      'en_tn/tn_1JN.tsv',
+    ]);
+    assert.equal(zip.readAsText('en_tn/README.md'), files['README.md']);
+
+    const manifest = zip.readAsText('en_tn/manifest.yaml');
+    assert.ok(manifest.startsWith(MANIFEST));
+    const { gl_quotes: glQuotes } = yaml.load(manifest);
+    assert.equal(glQuotes.tool, 'add-gl-quotes-to-tsv-files');
+    assert.deepEqual(glQuotes.bibles, [{ bible_link: 'unfoldingWord/en_ult/master', quote_column: 'GLQuote', occurrence_column: 'GLOccurrence' }]);
+    assert.ok(!Number.isNaN(Date.parse(glQuotes.generated)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recordGLQuotesInManifest() replaces an earlier record and keeps the line endings', () => {
+  const manifest = 'dublin_core:\r\n  identifier: tn\r\ngl_quotes:\r\n  version: 1.0.0\r\n  bibles: []\r\nprojects: []\r\n';
+  assert.equal(
+    recordGLQuotesInManifest(manifest, { version: '2.0.0' }),
+    'dublin_core:\r\n  identifier: tn\r\nprojects: []\r\ngl_quotes:\r\n  version: 2.0.0\r\n',
+  );
+});